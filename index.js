@@ -26,6 +26,12 @@ module.exports = {
   WalletStore: require('./src/wallet-store'),
   WalletCrypto: require('./src/wallet-crypto'),
   Payment: require('./src/payment'),
+  BatchPayout: require('./src/batch-payout'),
+  BIP21: require('./src/bip21'),
+  PaymentRequest: require('./src/payment-request'),
+  Broadcaster: require('./src/broadcaster'),
+  Signer: require('./src/signer'),
+  MessageSignature: require('./src/message-signature'),
   ImportExport: require('./src/import-export'),
   BlockchainSettingsAPI: require('./src/blockchain-settings-api'),
   Helpers: require('./src/helpers'),
@@ -67,6 +67,7 @@ module.exports = function (karma) {
       // Or specify individual test files:
       'tests/mocks/*.coffee',
       'tests/transaction_spend_spec.js.coffee',
+      'tests/psbt_spec.js.coffee',
       'tests/wallet_spec.js.coffee',
       'tests/bip38_spec.js.coffee',
       'tests/address_spec.js.coffee',
@@ -74,9 +75,17 @@ module.exports = function (karma) {
       'tests/keyring_spec.js.coffee',
       'tests/hdaccount_spec.js.coffee',
       'tests/hdwallet_spec.js.coffee',
+      'tests/multisig_account_spec.js.coffee',
       'tests/blockchain_wallet_spec.js.coffee',
       'tests/rng_spec.js.coffee',
       'tests/payment_spec.js.coffee',
+      'tests/batch_payout_spec.js.coffee',
+      'tests/bip21_spec.js.coffee',
+      'tests/payment_request_spec.js.coffee',
+      'tests/broadcaster_spec.js.coffee',
+      'tests/transaction_tracker_spec.js.coffee',
+      'tests/signer_spec.js.coffee',
+      'tests/message_signature_spec.js.coffee',
       'tests/wallet_transaction_spec.js.coffee',
       'tests/transaction_list_spec.js.coffee',
       'tests/wallet_crypto_spec.js.coffee',
@@ -0,0 +1,121 @@
+'use strict';
+
+var assert = require('assert');
+var Bitcoin = require('bitcoinjs-lib');
+var Bs58check = require('bs58check');
+var Buffer = require('buffer').Buffer;
+
+// Address types that an HD account can derive.
+// Every type knows its BIP43 purpose, the output script it pays to, the
+// script type its inputs are signed as, the (virtual) size of a signed
+// input and whether it has witness data, the SLIP-132 version bytes of its exported extended keys and how to
+// turn a key pair into an address.
+
+var network = Bitcoin.networks.bitcoin;
+
+var AddressTypes = {
+  legacy: {
+    purpose: 44,
+    scriptType: 'pubkeyhash',
+    signType: 'pubkeyhash',
+    inputSize: 148,
+    witness: false,
+    extendedKeyPrefix: { public: 'xpub', private: 'xprv' },
+    extendedKeyVersion: { public: 0x0488b21e, private: 0x0488ade4 },
+    fromKeyPair: function (keyPair) {
+      return keyPair.getAddress();
+    }
+  },
+  bech32: {
+    purpose: 84,
+    scriptType: 'witnesspubkeyhash',
+    signType: 'witnesspubkeyhash',
+    inputSize: 68,
+    witness: true,
+    extendedKeyPrefix: { public: 'zpub', private: 'zprv' },
+    extendedKeyVersion: { public: 0x04b24746, private: 0x04b2430c },
+    fromKeyPair: function (keyPair) {
+      var hash = Bitcoin.crypto.hash160(keyPair.getPublicKeyBuffer());
+      return Bitcoin.address.toBech32(hash, 0, network.bech32);
+    }
+  },
+  segwitP2SH: {
+    purpose: 49,
+    scriptType: 'scripthash',
+    signType: 'witnesspubkeyhash',
+    inputSize: 91,
+    witness: true,
+    extendedKeyPrefix: { public: 'ypub', private: 'yprv' },
+    extendedKeyVersion: { public: 0x049d7cb2, private: 0x049d7878 },
+    fromKeyPair: function (keyPair) {
+      var hash = Bitcoin.crypto.hash160(witnessRedeemScript(keyPair));
+      return Bitcoin.address.toBase58Check(hash, network.scriptHash);
+    },
+    redeemScript: witnessRedeemScript
+  }
+};
+
+// P2WPKH program wrapped by P2SH-P2WPKH outputs (BIP 141)
+function witnessRedeemScript (keyPair) {
+  var hash = Bitcoin.crypto.hash160(keyPair.getPublicKeyBuffer());
+  return Bitcoin.script.witnessPubKeyHash.output.encode(hash);
+}
+
+var DEFAULT_TYPE = 'legacy';
+
+function get (type) {
+  return AddressTypes[type == null ? DEFAULT_TYPE : type];
+}
+
+function isValid (type) {
+  return type == null || AddressTypes.hasOwnProperty(type);
+}
+
+// the address type that spends an output script, null if we can't spend it
+function fromOutputScript (script) {
+  var scriptType = Bitcoin.script.classifyOutput(script);
+  var types = Object.keys(AddressTypes).filter(function (t) {
+    return AddressTypes[t].scriptType === scriptType;
+  });
+  return types.length > 0 ? types[0] : null;
+}
+
+// the address type an extended key has been exported for, null if unknown
+function fromExtendedKey (extendedKey) {
+  var prefix = String(extendedKey).substring(0, 4);
+  var types = Object.keys(AddressTypes).filter(function (t) {
+    var p = AddressTypes[t].extendedKeyPrefix;
+    return p.public === prefix || p.private === prefix;
+  });
+  return types.length > 0 ? types[0] : null;
+}
+
+// rewrites the version bytes of an extended key
+// toExtendedKey :: extendedKey -> type -> extendedKey
+function toExtendedKey (extendedKey, type) {
+  var sourceType = fromExtendedKey(extendedKey);
+  assert(sourceType !== null, 'Unknown extended key format');
+  var data = Bs58check.decode(extendedKey);
+  var isPrivate = get(sourceType).extendedKeyPrefix.private === extendedKey.substring(0, 4);
+  var version = get(type).extendedKeyVersion[isPrivate ? 'private' : 'public'];
+  var result = new Buffer(data.length);
+  data.copy(result);
+  result.writeUInt32BE(version, 0);
+  return Bs58check.encode(result);
+}
+
+// standard xpub/xprv encoding of any SLIP-132 extended key
+function toStandardExtendedKey (extendedKey) {
+  return toExtendedKey(extendedKey, DEFAULT_TYPE);
+}
+
+module.exports = {
+  DEFAULT_TYPE: DEFAULT_TYPE,
+  types: Object.keys(AddressTypes),
+  get: get,
+  isValid: isValid,
+  fromOutputScript: fromOutputScript,
+  fromExtendedKey: fromExtendedKey,
+  toExtendedKey: toExtendedKey,
+  toStandardExtendedKey: toStandardExtendedKey
+};
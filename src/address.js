@@ -5,11 +5,13 @@ module.exports = Address;
 var Base58 = require('bs58');
 var RNG = require('./rng');
 var Bitcoin = require('bitcoinjs-lib');
+var BitcoinMessage = require('bitcoinjs-message');
 var Helpers = require('./helpers');
 var MyWallet = require('./wallet'); // This cyclic import should be avoided once the refactor is complete
 var shared = require('./shared');
 var ImportExport = require('./import-export');
 var WalletCrypto = require('./wallet-crypto');
+var MessageSignature = require('./message-signature');
 
 // Address class
 function Address (object) {
@@ -231,7 +233,9 @@ Address.prototype.toJSON = function () {
   return address;
 };
 
-Address.prototype.signMessage = function (message, secondPassword) {
+// signs for the P2PKH address, or for the segwit address of the same
+// (compressed) key when type is 'segwitP2SH' or 'bech32'
+Address.prototype.signMessage = function (message, secondPassword, type) {
   if (!Helpers.isString(message)) throw 'Expected message to be a string';
   if (this.isWatchOnly) throw 'Private key needed for message signing';
   if (this.isEncrypted && secondPassword == null) throw 'Second password needed to decrypt key';
@@ -243,7 +247,8 @@ Address.prototype.signMessage = function (message, secondPassword) {
   var keyPair = Helpers.privateKeyStringToKey(priv, 'base58');
 
   if (keyPair.getAddress() !== this.address) keyPair.compressed = false;
-  return Bitcoin.message.sign(keyPair, message).toString('base64');
+  if (type != null && type !== 'legacy') return MessageSignature.sign(message, keyPair, type);
+  return BitcoinMessage.sign(message, keyPair.d.toBuffer(32), keyPair.compressed).toString('base64');
 };
 
 Address.prototype.encrypt = function (cipher) {
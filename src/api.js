@@ -239,6 +239,15 @@ API.prototype.pushTx = function (txHex, note) {
   return this.request('POST', 'pushtx', data).then(responseTXHASH);
 };
 
+API.prototype.getRawTx = function (txHash) {
+  var data = {
+    format: 'hex',
+    cors: true,
+    api_code: this.API_CODE
+  };
+  return this.retry(this.request.bind(this, 'GET', 'rawtx/' + txHash, data));
+};
+
 API.prototype.getFees = function () {
   var handleNetworkError = function () {
     return Promise.reject({ initial_error: 'Connectivity error, failed to send network request' });
@@ -0,0 +1,97 @@
+'use strict';
+
+var Helpers = require('./helpers');
+var Transaction = require('./transaction');
+
+// Batch payouts (payroll) from CSV text, one recipient per line:
+//   address,amount[,label[,note]]
+// Amounts are in BTC. The label names the recipient in the address book, the
+// note is about this payment to the recipient. A first line naming the
+// columns is skipped, as are blank lines. Fields may be quoted ("...") to
+// hold commas.
+// Rows that can't be paid are reported by line, as {line, error, value}:
+//   MISSING_FIELDS, INVALID_ADDRESS, INVALID_AMOUNT, BELOW_DUST_THRESHOLD
+
+// splits a CSV line into its fields, "" is an escaped quote inside quotes
+function fieldsOf (line) {
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var c = line[i];
+    if (quoted && c === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (c === '"') {
+      quoted = !quoted;
+    } else if (c === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function isHeader (fields) {
+  return /^address$/i.test(fields[0]);
+}
+
+// parse :: csv -> {rows: [{line, address, amount, label, note}], errors: [{line, error, value}]}
+function parse (csv) {
+  var rows = [];
+  var errors = [];
+  var lines = String(csv == null ? '' : csv).split(/\r?\n/);
+  lines.forEach(function (text, i) {
+    var line = i + 1;
+    if (text.trim() === '') return;
+    var fields = fieldsOf(text);
+    if (i === 0 && isHeader(fields)) return;
+    if (fields.length < 2 || fields[0] === '' || fields[1] === '') {
+      errors.push({ line: line, error: 'MISSING_FIELDS', value: text });
+      return;
+    }
+    var address = fields[0];
+    var amount = Helpers.toSatoshi(fields[1]);
+    if (!Helpers.isBitcoinAddress(address)) {
+      errors.push({ line: line, error: 'INVALID_ADDRESS', value: address });
+    } else if (amount === null) {
+      errors.push({ line: line, error: 'INVALID_AMOUNT', value: fields[1] });
+    } else if (amount < Transaction.DUST_THRESHOLD) {
+      errors.push({ line: line, error: 'BELOW_DUST_THRESHOLD', value: amount, threshold: Transaction.DUST_THRESHOLD });
+    } else {
+      rows.push({ line: line, address: address, amount: amount, label: fields[2] || null, note: fields.slice(3).join(', ') || null });
+    }
+  });
+  return { rows: rows, errors: errors };
+}
+
+// the label and note of every recipient, kept by row on the payment
+// recipientOf :: row -> {address, label, note}
+function recipientOf (row) {
+  return { address: row.address, label: row.label, note: row.note };
+}
+
+// pays every row of a parsed batch with a single payment. Once published, the
+// labels of the recipients are recorded in the address book and their notes
+// in the note of the transaction.
+// A batch with errors is rejected so that nobody is left out silently.
+// toPayment :: {rows, errors} -> Payment -> Payment
+function toPayment (batch, payment) {
+  if (batch.errors.length > 0 || batch.rows.length === 0) {
+    return payment.then(function () {
+      return Promise.reject({ error: 'INVALID_BATCH', errors: batch.errors });
+    });
+  }
+  return payment
+    .to(batch.rows.map(function (r) { return r.address; }))
+    .amount(batch.rows.map(function (r) { return r.amount; }))
+    .recipients(batch.rows.map(recipientOf));
+}
+
+module.exports = {
+  parse: parse,
+  toPayment: toPayment
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+var assert = require('assert');
+var Helpers = require('./helpers');
+
+// Payment URIs (BIP 21), as found in QR codes:
+//   bitcoin:<address>[?amount=<BTC>][&label=<label>][&message=<message>]
+// Amounts are in BTC in the URI and in satoshi everywhere else.
+// URIs that can't be paid are reported as {error, value}:
+//   INVALID_URI, INVALID_ADDRESS, INVALID_AMOUNT, UNSUPPORTED_REQUIREMENT
+
+var SCHEME = 'bitcoin:';
+
+// QR codes often carry bech32 addresses in upper case
+function addressOf (text) {
+  var lower = text.toLowerCase();
+  return text === text.toUpperCase() && Helpers.isBech32Address(lower) ? lower : text;
+}
+
+function decode (text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// parse :: String -> {address, amount, label, message, params} || {error, value}
+// params holds every other parameter of the URI (e.g. r, the BIP 72 payment request url)
+function parse (uri) {
+  if (!Helpers.isString(uri) || uri.slice(0, SCHEME.length).toLowerCase() !== SCHEME) {
+    return { error: 'INVALID_URI', value: uri };
+  }
+  var parts = uri.slice(SCHEME.length).split('?');
+  if (parts.length > 2) return { error: 'INVALID_URI', value: uri };
+  var params = {};
+  var query = parts[1] ? parts[1].split('&') : [];
+  for (var i = 0; i < query.length; i++) {
+    var pair = query[i].split('=');
+    var key = decode(pair[0]);
+    var value = decode(pair.slice(1).join('='));
+    if (key === null || value === null || key === '' || params.hasOwnProperty(key)) {
+      return { error: 'INVALID_URI', value: uri };
+    }
+    // required parameters we don't understand make the URI unusable
+    if (key.slice(0, 4) === 'req-') return { error: 'UNSUPPORTED_REQUIREMENT', value: key };
+    params[key] = value;
+  }
+
+  var address = addressOf(decode(parts[0]) || '');
+  // the address can be left out when the URI points to a payment request
+  if (address === '' && params.r) {
+    address = null;
+  } else if (!Helpers.isBitcoinAddress(address)) {
+    return { error: 'INVALID_ADDRESS', value: address };
+  }
+  var amount = null;
+  if (params.amount !== undefined) {
+    amount = Helpers.toSatoshi(params.amount);
+    if (amount === null) return { error: 'INVALID_AMOUNT', value: params.amount };
+  }
+  var uriOf = { address: address, amount: amount, label: params.label || null, message: params.message || null };
+  delete params.amount;
+  delete params.label;
+  delete params.message;
+  uriOf.params = params;
+  return uriOf;
+}
+
+// encode :: address -> {amount, label, message} -> String
+function encode (address, options) {
+  assert(Helpers.isBitcoinAddress(address), 'Invalid address');
+  options = options || {};
+  var query = [];
+  if (options.amount != null) {
+    assert(Helpers.isPositiveInteger(options.amount), 'Invalid amount');
+    query.push('amount=' + Helpers.toBTC(options.amount));
+  }
+  if (options.label) query.push('label=' + encodeURIComponent(options.label));
+  if (options.message) query.push('message=' + encodeURIComponent(options.message));
+  return SCHEME + address + (query.length > 0 ? '?' + query.join('&') : '');
+}
+
+// URI to receive on the next receive address of an account
+// fromAccount :: HDAccount -> {amount, label, message} -> String
+function fromAccount (account, options) {
+  return encode(account.receiveAddress, options);
+}
+
+// sets the destination, amount and note of a payment from a URI
+// toPayment :: String || parsed URI -> Payment -> Payment
+function toPayment (uri, payment) {
+  var request = Helpers.isString(uri) ? parse(uri) : uri;
+  if (request.error || request.address === null) {
+    return payment.then(function () {
+      return Promise.reject(request.error ? request : { error: 'INVALID_ADDRESS', value: null });
+    });
+  }
+  payment.to(request.address);
+  if (request.amount !== null) payment.amount(request.amount);
+  if (request.message) payment.note(request.message);
+  return payment;
+}
+
+module.exports = {
+  parse: parse,
+  encode: encode,
+  fromAccount: fromAccount,
+  toPayment: toPayment
+};
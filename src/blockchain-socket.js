@@ -1,4 +1,5 @@
 
+var EventEmitter = require('events');
 var WebSocket = require('ws');
 var Helpers = require('./helpers');
 
@@ -13,6 +14,8 @@ function BlockchainSocket () {
   // ping has a timeout of pingTimeout
   this.pingTimeout = 5000; // 5 secs
   this.pingTimeoutPID = null;
+  // listeners of the parsed messages
+  this._events = new EventEmitter();
 }
 
 BlockchainSocket.prototype.connect = function (onOpen, onMessage, onClose) {
@@ -59,6 +62,17 @@ BlockchainSocket.prototype.send = function (message) {
   }
 };
 
+// listener :: parsed message -> (), returns the function removing the listener
+BlockchainSocket.prototype.subscribe = function (listener) {
+  if (typeof listener !== 'function') return;
+  this._events.addListener('message', listener);
+  return this._events.removeListener.bind(this._events, 'message', listener);
+};
+
+BlockchainSocket.prototype.notify = function (message) {
+  this._events.emit('message', message);
+};
+
 BlockchainSocket.prototype.msgWalletSub = function (myGUID) {
   if (myGUID == null) { return ''; }
   var m = { op: 'wallet_sub', guid: myGUID };
@@ -64,6 +64,9 @@ function Wallet (object) {
   // tx_notes dictionary
   this._tx_notes = obj.tx_notes || {};
 
+  // outpoints (txHash:outputIndex) that must never be spent
+  this._frozen_outpoints = obj.frozen_outpoints || [];
+
   // tx_tags list (not sure if list or object)
   // this._tx_tags = obj.tx_tags || [];
 
@@ -284,6 +287,10 @@ Object.defineProperties(Wallet.prototype, {
     configurable: false,
     get: function () { return this._address_book; }
   },
+  'frozenOutpoints': {
+    configurable: false,
+    get: function () { return this._frozen_outpoints.slice(); }
+  },
   'defaultPbkdf2Iterations': {
     configurable: false,
     get: function () { return 5000; }
@@ -417,6 +424,7 @@ Wallet.prototype.toJSON = function () {
     },
     address_book: addressBookToJSON(this._address_book),
     tx_notes: this._tx_notes,
+    frozen_outpoints: Helpers.isEmptyArray(this._frozen_outpoints) ? undefined : this._frozen_outpoints,
     // tx_tags           : this._tx_tags,
     tx_names: this._tx_names,
     keys: this.keys,
@@ -715,14 +723,14 @@ Wallet.prototype.upgradeToV3 = function (firstAccountLabel, pw, success, error)
   return hd;
 };
 
-Wallet.prototype.newAccount = function (label, pw, hdwalletIndex, success, nosave) {
+Wallet.prototype.newAccount = function (label, pw, hdwalletIndex, success, nosave, type) {
   if (!this.isUpgradedToHD) { return false; }
   var index = Helpers.isPositiveInteger(hdwalletIndex) ? hdwalletIndex : 0;
   var cipher;
   if (this.isDoubleEncrypted) {
     cipher = WalletCrypto.cipherFunction.bind(undefined, pw, this._sharedKey, this._pbkdf2_iterations);
   }
-  var newAccount = this._hd_wallets[index].newAccount(label, cipher).lastAccount;
+  var newAccount = this._hd_wallets[index].newAccount(label, cipher, type).lastAccount;
   try { // MyWallet.ws.send can fail when restoring from mnemonic because it is not initialized.
     MyWallet.ws.send(MyWallet.ws.msgXPUBSub(newAccount.extendedPublicKey));
   } catch (e) {}
@@ -731,6 +739,18 @@ Wallet.prototype.newAccount = function (label, pw, hdwalletIndex, success, nosav
   return newAccount;
 };
 
+Wallet.prototype.newMultisigAccount = function (label, m, cosignerXpubs, type, pw, hdwalletIndex) {
+  if (!this.isUpgradedToHD) { return false; }
+  var index = Helpers.isPositiveInteger(hdwalletIndex) ? hdwalletIndex : 0;
+  var cipher;
+  if (this.isDoubleEncrypted) {
+    cipher = WalletCrypto.cipherFunction.bind(undefined, pw, this._sharedKey, this._pbkdf2_iterations);
+  }
+  var account = this._hd_wallets[index].newMultisigAccount(label, m, cosignerXpubs, type, cipher);
+  MyWallet.syncWallet();
+  return account;
+};
+
 Wallet.prototype.getPaidTo = function (txHash) {
   return this._paidTo[txHash];
 };
@@ -764,6 +784,24 @@ Wallet.prototype.deleteNote = function (txHash) {
   MyWallet.syncWallet();
 };
 
+Wallet.prototype.isFrozenOutpoint = function (outpoint) {
+  return this._frozen_outpoints.indexOf(outpoint) > -1;
+};
+
+Wallet.prototype.freezeOutpoint = function (outpoint) {
+  assert(Helpers.isOutpoint(outpoint), 'Error: outpoint must be txHash:outputIndex');
+  if (this.isFrozenOutpoint(outpoint)) return;
+  this._frozen_outpoints.push(outpoint);
+  MyWallet.syncWallet();
+};
+
+Wallet.prototype.unfreezeOutpoint = function (outpoint) {
+  var i = this._frozen_outpoints.indexOf(outpoint);
+  if (i < 0) return;
+  this._frozen_outpoints.splice(i, 1);
+  MyWallet.syncWallet();
+};
+
 Wallet.prototype.getMnemonic = function (password) {
   var seedHex = this.isDoubleEncrypted
       ? WalletCrypto.decryptSecretWithSecondPassword(this.hdwallet.seedHex, password, this.sharedKey, this.pbkdf2_iterations)
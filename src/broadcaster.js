@@ -0,0 +1,182 @@
+'use strict';
+/* global fetch */
+
+var assert = require('assert');
+var Bitcoin = require('bitcoinjs-lib');
+var Buffer = require('buffer').Buffer;
+var API = require('./api');
+
+// Backends a signed transaction is published to. A backend is
+//   {name, push :: hex -> Promise txid}
+// and rejects with a typed error {error, message}:
+//   TX_ALREADY_KNOWN  the backend already has the transaction (counted as accepted)
+//   TX_CONFLICT       an input is missing or already spent
+//   TX_FEE_TOO_LOW    the fee is below what the node relays
+//   TX_INVALID        the transaction can't be decoded or fails validation
+//   TX_REJECTED       any other refusal
+//   TXID_MISMATCH     the backend answered with the id of another transaction
+//   NETWORK_ERROR     the backend can't be reached
+//   BACKEND_ERROR     the backend answered with something we don't understand
+// Only blockchain.info is registered by default.
+
+// patterns of the messages of bitcoind, relayed as is by most backends
+var MESSAGES = [
+  { error: 'TX_ALREADY_KNOWN', pattern: /already (in block ?chain|known|have transaction)|txn-already|transaction already exists/i },
+  { error: 'TX_CONFLICT', pattern: /conflict|missing ?inputs|missingorspent|double.?spen|already spent/i },
+  { error: 'TX_FEE_TOO_LOW', pattern: /min relay fee|mempool min fee|insufficient fee|fee (is )?too low/i },
+  { error: 'TX_INVALID', pattern: /decode|deserializ|invalid|mandatory-script|bad-txns/i }
+];
+
+// bitcoind RPC error codes of sendrawtransaction
+var RPC_ERRORS = {
+  '-27': 'TX_ALREADY_KNOWN', // RPC_VERIFY_ALREADY_IN_CHAIN
+  '-25': 'TX_CONFLICT', // RPC_VERIFY_ERROR, mostly missing inputs
+  '-22': 'TX_INVALID' // RPC_DESERIALIZATION_ERROR
+};
+
+var backends = [];
+
+// errorOf :: String || Error || {error} -> {error, message}
+function errorOf (e) {
+  if (e && typeof e.error === 'string') return { error: e.error, message: e.message || e.error };
+  if (e && e.initial_error) return { error: 'NETWORK_ERROR', message: e.initial_error };
+  var message = String((e && e.message) || e);
+  var known = MESSAGES.filter(function (m) { return m.pattern.test(message); })[0];
+  return { error: known ? known.error : 'TX_REJECTED', message: message };
+}
+
+function networkError (e) {
+  return Promise.reject({ error: 'NETWORK_ERROR', message: (e && e.message) || 'Connectivity error, failed to send network request' });
+}
+
+function txidOf (hex) {
+  return Bitcoin.Transaction.fromHex(hex).getId();
+}
+
+// blockchainInfo :: () -> backend
+function blockchainInfo () {
+  return {
+    name: 'blockchain.info',
+    push: function (hex) {
+      // pushtx answers with plain text, successful or not
+      return API.pushTx(hex).then(function (response) {
+        return response === true ? txidOf(hex) : Promise.reject(errorOf(response));
+      }, function (e) {
+        return Promise.reject(errorOf(e));
+      });
+    }
+  };
+}
+
+// Esplora REST API (blockstream.info, mempool.space, ...)
+// esplora :: {url, name} -> backend
+function esplora (options) {
+  assert(options && options.url, 'Esplora url required');
+  var url = options.url.replace(/\/$/, '');
+  return {
+    name: options.name || 'esplora',
+    push: function (hex) {
+      var request = { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: hex };
+      return fetch(url + '/tx', request).catch(networkError).then(function (response) {
+        return response.text().then(function (text) {
+          if (response.status >= 200 && response.status < 300) return text.trim();
+          return Promise.reject(response.status >= 500 ? { error: 'BACKEND_ERROR', message: text } : errorOf(text));
+        });
+      });
+    }
+  };
+}
+
+// sendrawtransaction of a Bitcoin Core node through its JSON-RPC interface
+// bitcoinCore :: {url, username, password, name} -> backend
+function bitcoinCore (options) {
+  assert(options && options.url, 'Bitcoin Core url required');
+  var headers = { 'Content-Type': 'application/json' };
+  if (options.username) {
+    var credentials = new Buffer(options.username + ':' + (options.password || ''));
+    headers.Authorization = 'Basic ' + credentials.toString('base64');
+  }
+  return {
+    name: options.name || 'bitcoin-core',
+    push: function (hex) {
+      var body = JSON.stringify({ jsonrpc: '1.0', id: 'broadcaster', method: 'sendrawtransaction', params: [hex] });
+      var request = { method: 'POST', headers: headers, body: body };
+      // RPC errors come with an http error status and a JSON body
+      return fetch(options.url, request).catch(networkError).then(function (response) {
+        return response.text().then(function (text) {
+          var json = null;
+          try { json = JSON.parse(text); } catch (e) {}
+          if (json && json.error) {
+            var error = errorOf(json.error.message);
+            return Promise.reject({ error: RPC_ERRORS[json.error.code] || error.error, message: error.message });
+          }
+          if (json && json.result) return json.result;
+          return Promise.reject({ error: 'BACKEND_ERROR', message: text || String(response.status) });
+        });
+      });
+    }
+  };
+}
+
+// backends with the same name are replaced
+// register :: backend -> ()
+function register (backend) {
+  assert(backend && backend.name, 'Backend name required');
+  assert(typeof backend.push === 'function', 'Backend push function required');
+  unregister(backend.name);
+  backends.push(backend);
+}
+
+// unregister :: String -> ()
+function unregister (name) {
+  backends = backends.filter(function (b) { return b.name !== name; });
+}
+
+// names :: () -> [String]
+function names () {
+  return backends.map(function (b) { return b.name; });
+}
+
+// publishes to every backend in parallel, succeeds once one of them accepts the transaction
+// publish :: hex -> Promise {txid, accepted :: [name], rejected :: [{backend, error, message}]}
+//   rejects with {error: 'BROADCAST_FAILED', txid, rejected} otherwise
+function publish (hex) {
+  assert(hex, 'transaction required');
+  var txid = txidOf(hex);
+  if (backends.length === 0) return Promise.reject({ error: 'NO_BROADCAST_BACKEND', txid: txid });
+
+  var pushTo = function (backend) {
+    var answer = function (id) {
+      if (typeof id === 'string' && id !== txid) {
+        return { backend: backend.name, error: 'TXID_MISMATCH', message: id };
+      }
+      return { backend: backend.name };
+    };
+    var reason = function (e) {
+      var error = errorOf(e);
+      return { backend: backend.name, error: error.error, message: error.message };
+    };
+    return Promise.resolve().then(function () { return backend.push(hex); }).then(answer, reason);
+  };
+
+  return Promise.all(backends.map(pushTo)).then(function (results) {
+    var isAccepted = function (r) { return !r.error || r.error === 'TX_ALREADY_KNOWN'; };
+    var accepted = results.filter(isAccepted).map(function (r) { return r.backend; });
+    var rejected = results.filter(function (r) { return !isAccepted(r); });
+    if (accepted.length === 0) return Promise.reject({ error: 'BROADCAST_FAILED', txid: txid, rejected: rejected });
+    return { txid: txid, accepted: accepted, rejected: rejected };
+  });
+}
+
+register(blockchainInfo());
+
+module.exports = {
+  register: register,
+  unregister: unregister,
+  names: names,
+  publish: publish,
+  errorOf: errorOf,
+  blockchainInfo: blockchainInfo,
+  esplora: esplora,
+  bitcoinCore: bitcoinCore
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+var Bitcoin = require('bitcoinjs-lib');
+var Buffer = require('buffer').Buffer;
+
+// Coin selection strategies used by Transaction.selectCoins
+// strategy :: [coins] -> amount -> feeOf -> {coins, fee} || null
+// feeOf :: [selected coins] -> withChange -> fee
+// A strategy returns null when it can't fund the amount, so that the caller
+// can fall back to another one.
+
+var DUST_THRESHOLD = 546;
+var MAX_TRIES = 100000;
+
+var byValueDesc = function (a, b) { return b.value - a.value; };
+var byValueAsc = function (a, b) { return a.value - b.value; };
+
+// accumulate :: [coins] -> amount -> feeOf -> {coins, fee} || null
+function accumulate (sorted, amount, feeOf) {
+  var sel = [];
+  var accAm = 0;
+  for (var i = 0; i < sorted.length; i++) {
+    var coin = sorted[i];
+    accAm = accAm + coin.value;
+    sel.push(coin);
+    var accFee = feeOf(sel, true);
+    if (accAm >= accFee + amount) { return {'coins': sel, 'fee': accFee}; }
+  }
+  return null;
+}
+
+// spends the biggest coins first (fewest inputs)
+function largestFirst (coins, amount, feeOf) {
+  return accumulate(coins.slice().sort(byValueDesc), amount, feeOf);
+}
+
+// spends the smallest coins first, consolidating the wallet
+function smallestFirst (coins, amount, feeOf) {
+  return accumulate(coins.slice().sort(byValueAsc), amount, feeOf);
+}
+
+// spends every given coin (manual coin control)
+function manual (coins, amount, feeOf) {
+  var fee = feeOf(coins, true);
+  var total = coins.reduce(function (a, c) { return a + c.value; }, 0);
+  return coins.length > 0 && total >= fee + amount ? {'coins': coins.slice(), 'fee': fee} : null;
+}
+
+// depth first search for a selection that needs no change output:
+// whatever is left over must be below the dust threshold and goes to the fee
+function branchAndBound (coins, amount, feeOf) {
+  var sorted = coins.slice().sort(byValueDesc);
+  var rest = [];
+  for (var r = sorted.length - 1, acc = 0; r >= 0; r--) {
+    acc = acc + sorted[r].value;
+    rest[r] = acc;
+  }
+  var tries = 0;
+  var best = null;
+  var search = function (i, selected, total) {
+    if (best || tries++ > MAX_TRIES) return;
+    var target = amount + feeOf(selected, false);
+    if (selected.length > 0 && total >= target) {
+      if (total - target < DUST_THRESHOLD) best = selected.slice();
+      return;
+    }
+    if (i >= sorted.length || total + rest[i] < target) return;
+    selected.push(sorted[i]);
+    search(i + 1, selected, total + sorted[i].value);
+    selected.pop();
+    search(i + 1, selected, total);
+  };
+  search(0, [], 0);
+  return best ? {'coins': best, 'fee': feeOf(best, false)} : null;
+}
+
+// spends coins of a single address so that the transaction doesn't link
+// several of our addresses together. Prefers the cluster needing fewer inputs.
+function privacy (coins, amount, feeOf) {
+  var clusters = {};
+  coins.forEach(function (coin) {
+    var key = addressOfCoin(coin);
+    clusters[key] = (clusters[key] || []).concat([coin]);
+  });
+  return Object.keys(clusters)
+    .map(function (k) { return accumulate(clusters[k].sort(byValueDesc), amount, feeOf); })
+    .filter(function (s) { return s !== null; })
+    .reduce(function (best, s) {
+      return best === null || s.coins.length < best.coins.length ? s : best;
+    }, null);
+}
+
+function addressOfCoin (coin) {
+  if (coin.address) return coin.address;
+  try {
+    return Bitcoin.address.fromOutputScript(new Buffer(coin.script, 'hex'));
+  } catch (e) {
+    return coin.script;
+  }
+}
+
+var strategies = {
+  largestFirst: largestFirst,
+  smallestFirst: smallestFirst,
+  branchAndBound: branchAndBound,
+  privacy: privacy,
+  manual: manual
+};
+
+module.exports = {
+  DEFAULT: 'largestFirst',
+  strategies: strategies,
+  isValid: function (name) { return strategies.hasOwnProperty(name); }
+};
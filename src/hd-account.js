@@ -6,6 +6,9 @@ var Bitcoin = require('bitcoinjs-lib');
 var assert = require('assert');
 var Helpers = require('./helpers');
 var KeyRing = require('./keyring');
+var WalletCrypto = require('./wallet-crypto');
+var AddressTypes = require('./address-types');
+var MessageSignature = require('./message-signature');
 var MyWallet = require('./wallet'); // This cyclic import should be avoided once the refactor is complete
 
 // HDAccount Class
@@ -20,13 +23,14 @@ function HDAccount (object) {
   this._archived = obj.archived || false;
   this._xpriv = obj.xpriv;
   this._xpub = obj.xpub;
+  this._type = obj.type || AddressTypes.DEFAULT_TYPE;
   this._network = obj.network || Bitcoin.networks.bitcoin;
 
   this._address_labels = [];
   obj.address_labels.map(function (e) { self._address_labels[e.index] = e.label; });
 
   // computed properties
-  this._keyRing = new KeyRing(obj.xpub, obj.cache);
+  this._keyRing = new KeyRing(obj.xpub, obj.cache, this._type);
   this._receiveIndex = 0;
   // The highest receive index with transactions, as returned by the server:
   this._lastUsedReceiveIndex = 0;
@@ -167,6 +171,21 @@ Object.defineProperties(HDAccount.prototype, {
     configurable: false,
     get: function () { return this._xpriv; }
   },
+  'type': {
+    configurable: false,
+    get: function () { return this._type; }
+  },
+  // read-only accounts created from an extended public key
+  'isWatchOnly': {
+    configurable: false,
+    get: function () { return this._xpriv == null; }
+  },
+  'exportedExtendedPublicKey': {
+    configurable: false,
+    get: function () {
+      return this._xpub ? AddressTypes.toExtendedKey(this._xpub, this._type) : this._xpub;
+    }
+  },
   'keyRing': {
     configurable: false,
     get: function () { return this._keyRing; }
@@ -199,12 +218,14 @@ Object.defineProperties(HDAccount.prototype, {
  * m / purpose' / coin_type' / account' / change / address_index
  * Apostrophe in the path indicates that BIP32 hardened derivation is used.
  *
- * Purpose is a constant set to 44' following the BIP43 recommendation
+ * Purpose is 44' for legacy accounts, 49' for P2SH wrapped segwit (BIP 49)
+ * and 84' for native segwit (BIP 84) accounts, following the BIP43 recommendation
  * Registered coin types: 0' for Bitcoin
  */
-HDAccount.fromAccountMasterKey = function (accountZero, index, label) {
+HDAccount.fromAccountMasterKey = function (accountZero, index, label, type) {
   assert(accountZero, 'Account MasterKey must be given to create an account.');
-  var account = new HDAccount();
+  assert(AddressTypes.isValid(type), 'Unknown address type');
+  var account = new HDAccount({ type: type });
   account._index = Helpers.isPositiveInteger(index) ? index : null;
   account._label = label;
   account._xpriv = accountZero.toBase58();
@@ -213,26 +234,33 @@ HDAccount.fromAccountMasterKey = function (accountZero, index, label) {
   return account;
 };
 
-HDAccount.fromWalletMasterKey = function (masterkey, index, label) {
+HDAccount.fromWalletMasterKey = function (masterkey, index, label, type) {
   assert(masterkey, 'Wallet MasterKey must be given to create an account.');
   assert(Helpers.isPositiveInteger(index), 'Derivation index must be a positive integer.');
-  var accountZero = masterkey.deriveHardened(44).deriveHardened(0).deriveHardened(index);
-  return HDAccount.fromAccountMasterKey(accountZero, index, label);
+  assert(AddressTypes.isValid(type), 'Unknown address type');
+  var purpose = AddressTypes.get(type).purpose;
+  var accountZero = masterkey.deriveHardened(purpose).deriveHardened(0).deriveHardened(index);
+  return HDAccount.fromAccountMasterKey(accountZero, index, label, type);
 };
 
+// ypub/zpub keys are stored in the standard encoding, the prefix sets the type
 HDAccount.fromExtPublicKey = function (extPublicKey, index, label) {
   // this is creating a read-only account
-  assert(Helpers.isXpubKey(extPublicKey), 'Extended public key must be given to create an account.');
-  var accountZero = Bitcoin.HDNode.fromBase58(extPublicKey);
-  var a = HDAccount.fromAccountMasterKey(accountZero, index, label);
+  assert(Helpers.isXpubKey(extPublicKey) || Helpers.isYpubKey(extPublicKey) || Helpers.isZpubKey(extPublicKey),
+    'Extended public key must be given to create an account.');
+  var type = AddressTypes.fromExtendedKey(extPublicKey);
+  var accountZero = Bitcoin.HDNode.fromBase58(AddressTypes.toStandardExtendedKey(extPublicKey));
+  var a = HDAccount.fromAccountMasterKey(accountZero, index, label, type);
   a._xpriv = null;
   return a;
 };
 
 HDAccount.fromExtPrivateKey = function (extPrivateKey, index, label) {
-  assert(Helpers.isXprivKey(extPrivateKey), 'Extended private key must be given to create an account.');
-  var accountZero = Bitcoin.HDNode.fromBase58(extPrivateKey);
-  return HDAccount.fromAccountMasterKey(accountZero, index, label);
+  assert(Helpers.isXprivKey(extPrivateKey) || Helpers.isYprivKey(extPrivateKey) || Helpers.isZprivKey(extPrivateKey),
+    'Extended private key must be given to create an account.');
+  var type = AddressTypes.fromExtendedKey(extPrivateKey);
+  var accountZero = Bitcoin.HDNode.fromBase58(AddressTypes.toStandardExtendedKey(extPrivateKey));
+  return HDAccount.fromAccountMasterKey(accountZero, index, label, type);
 };
 
 HDAccount.factory = function (o) {
@@ -256,6 +284,10 @@ HDAccount.prototype.toJSON = function () {
     cache: this._keyRing
   };
 
+  if (this._type !== AddressTypes.DEFAULT_TYPE) {
+    hdaccount.type = this._type;
+  }
+
   return hdaccount;
 };
 
@@ -268,6 +300,10 @@ HDAccount.prototype.incrementReceiveIndex = function () {
   this._receiveIndex++;
   return this;
 };
+HDAccount.prototype.incrementChangeIndex = function () {
+  this._changeIndex++;
+  return this;
+};
 HDAccount.prototype.incrementReceiveIndexIfLast = function (index) {
   if (this._receiveIndex === index) {
     this.incrementReceiveIndex();
@@ -310,6 +346,29 @@ HDAccount.prototype.receiveAddressAtIndex = function (index) {
   return this._keyRing.receive.getAddress(index);
 };
 
+// message signing with the key of the receive (or change) address at index,
+// in the format of the address type of the account (see message-signature.js)
+HDAccount.prototype.signMessage = function (message, index, secondPassword, change, options) {
+  assert(Helpers.isString(message), 'Expected message to be a string');
+  assert(Helpers.isPositiveInteger(index), 'Error: address index must be a positive integer');
+  assert(!this.isWatchOnly, 'Private key needed for message signing');
+  assert(!this.isEncrypted || secondPassword != null, 'Second password needed to decrypt key');
+
+  var getDecrypted = WalletCrypto.decryptSecretWithSecondPassword.bind(null,
+    this._xpriv, secondPassword, MyWallet.wallet.sharedKey, MyWallet.wallet.pbkdf2_iterations);
+
+  var xpriv = this.isEncrypted ? getDecrypted() : this._xpriv;
+  var path = 'M/' + (change ? 1 : 0) + '/' + index;
+  var keyPair = new KeyRing(xpriv, undefined, this._type).privateKeyFromPath(path).keyPair;
+  return MessageSignature.sign(message, keyPair, this._type, options);
+};
+
+HDAccount.prototype.verifyMessage = function (message, signature, index, change) {
+  assert(Helpers.isPositiveInteger(index), 'Error: address index must be a positive integer');
+  var chain = change ? this._keyRing.change : this._keyRing.receive;
+  return Helpers.verifyMessageOfPublicKey(chain.getPublicKey(index), signature, message);
+};
+
 HDAccount.prototype.encrypt = function (cipher) {
   if (!this._xpriv) return this;
   var xpriv = cipher ? cipher(this._xpriv) : this._xpriv;
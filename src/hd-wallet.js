@@ -6,19 +6,28 @@ var Bitcoin = require('bitcoinjs-lib');
 var assert = require('assert');
 var Helpers = require('./helpers');
 var HDAccount = require('./hd-account');
+var MultisigAccount = require('./multisig-account');
+var AddressTypes = require('./address-types');
 var BIP39 = require('bip39');
 var MyWallet = require('./wallet'); // This cyclic import should be avoided once the refactor is complete
 
+var HARDENED = 0x80000000;
+
 // Address class
 function HDWallet (object) {
   function addAccount (o, index) {
     o.index = index;
     return HDAccount.factory(o);
   }
+  function addMultisigAccount (o, index) {
+    o.index = index;
+    return MultisigAccount.factory(o);
+  }
 
   // private members
   var obj = object || {};
   obj.accounts = obj.accounts || [];
+  obj.multisig_accounts = obj.multisig_accounts || [];
   obj.paidTo = obj.paidTo || {};
 
   this._seedHex = obj.seed_hex;
@@ -26,6 +35,7 @@ function HDWallet (object) {
   this._mnemonic_verified = obj.mnemonic_verified;
   this._default_account_idx = obj.default_account_idx;
   this._accounts = obj.accounts.map(addAccount);
+  this._multisig_accounts = obj.multisig_accounts.map(addMultisigAccount);
   this._paidTo = obj.paidTo;
 }
 
@@ -64,6 +74,12 @@ Object.defineProperties(HDWallet.prototype, {
       return this._accounts.map(function (a) { return a; });
     }
   },
+  'multisigAccounts': {
+    configurable: false,
+    get: function () {
+      return this._multisig_accounts.map(function (a) { return a; });
+    }
+  },
   'activeAccounts': {
     configurable: false,
     get: function () {
@@ -94,7 +110,8 @@ Object.defineProperties(HDWallet.prototype, {
     configurable: false,
     get: function () {
       var isSeedEnc = Helpers.isBase64(this._seedHex) && !Helpers.isSeedHex(this._seedHex);
-      return isSeedEnc && this._accounts.map(function (a) { return a.isEncrypted; })
+      return isSeedEnc && this._accounts.concat(this._multisig_accounts)
+                                          .map(function (a) { return a.isEncrypted; })
                                           .reduce(Helpers.and, true);
     }
   },
@@ -102,7 +119,8 @@ Object.defineProperties(HDWallet.prototype, {
     configurable: false,
     get: function () {
       var isSeedUnEnc = Helpers.isSeedHex(this._seedHex);
-      return isSeedUnEnc && this._accounts.map(function (a) { return a.isUnEncrypted; })
+      return isSeedUnEnc && this._accounts.concat(this._multisig_accounts)
+                             .map(function (a) { return a.isUnEncrypted; })
                              .reduce(Helpers.and, true);
     }
   },
@@ -177,7 +195,7 @@ HDWallet.factory = function (o) {
   }
 };
 
-HDWallet.prototype.newAccount = function (label, cipher) {
+HDWallet.prototype.newAccount = function (label, cipher, type) {
   var accIndex = this._accounts.length;
   var dec;
   var enc;
@@ -190,12 +208,47 @@ HDWallet.prototype.newAccount = function (label, cipher) {
   var masterhex = getMasterHex(this._seedHex, this._bip39Password, dec);
   var network = Bitcoin.networks.bitcoin;
   var masterkey = Bitcoin.HDNode.fromSeedBuffer(masterhex, network);
-  var account = HDAccount.fromWalletMasterKey(masterkey, accIndex, label);
+  var account = HDAccount.fromWalletMasterKey(masterkey, accIndex, label, type);
   account.encrypt(enc).persist();
   this._accounts.push(account);
   return this;
 };
 
+// our cosigner key is derived from the seed, cosignerXpubs are the account
+// extended public keys of the other cosigners
+HDWallet.prototype.newMultisigAccount = function (label, m, cosignerXpubs, type, cipher) {
+  var accIndex = this._multisig_accounts.length;
+  var dec;
+  var enc;
+
+  if (cipher) {
+    dec = cipher('dec');
+    enc = cipher('enc');
+  }
+
+  var masterhex = getMasterHex(this._seedHex, this._bip39Password, dec);
+  var network = Bitcoin.networks.bitcoin;
+  var masterkey = Bitcoin.HDNode.fromSeedBuffer(masterhex, network);
+  var account = MultisigAccount.fromWalletMasterKey(masterkey, cosignerXpubs, m, accIndex, label, type);
+  account.encrypt(enc).persist();
+  this._multisig_accounts.push(account);
+  return account;
+};
+
+// the key origin (BIP 174) of an account derived from the seed: master key
+// fingerprint and path m / purpose' / 0' / index'. Accounts of imported
+// keys have no known origin (null).
+HDWallet.prototype.keyOriginOf = function (account, cipher) {
+  var masterhex = getMasterHex(this._seedHex, this._bip39Password, cipher && cipher('dec'));
+  var masterkey = Bitcoin.HDNode.fromSeedBuffer(masterhex, Bitcoin.networks.bitcoin);
+  var path = [AddressTypes.get(account.type).purpose, 0, account.index].map(function (i) { return i + HARDENED; });
+  var accountKey = path.reduce(function (node, i) { return node.derive(i); }, masterkey);
+  var xpub = AddressTypes.toStandardExtendedKey(account.extendedPublicKey);
+  return accountKey.neutered().toBase58() === xpub
+    ? { fingerprint: masterkey.getFingerprint(), path: path }
+    : null;
+};
+
 // JSON serializer
 
 HDWallet.prototype.toJSON = function () {
@@ -207,6 +260,9 @@ HDWallet.prototype.toJSON = function () {
     // paidTo              : this._paidTo,
     accounts: this._accounts
   };
+  if (this._multisig_accounts.length > 0) {
+    hdwallet.multisig_accounts = this._multisig_accounts;
+  }
   return hdwallet;
 };
 
@@ -241,6 +297,7 @@ HDWallet.prototype.activeAccount = function (xpub) {
 HDWallet.prototype.encrypt = function (cipher) {
   function f (acc) { acc.encrypt(cipher); }
   this._accounts.forEach(f);
+  this._multisig_accounts.forEach(f);
   this._temporal_seedHex = cipher(this._seedHex);
   this._temporal_bip39Password = this._bip39Password === ''
    ? this._bip39Password
@@ -251,6 +308,7 @@ HDWallet.prototype.encrypt = function (cipher) {
 HDWallet.prototype.decrypt = function (cipher) {
   function f (acc) { acc.decrypt(cipher); }
   this._accounts.forEach(f);
+  this._multisig_accounts.forEach(f);
   this._temporal_seedHex = cipher(this._seedHex);
   this._temporal_bip39Password = this._bip39Password === ''
    ? this._bip39Password
@@ -268,6 +326,7 @@ HDWallet.prototype.persist = function () {
   delete this._temporal_bip39Password;
   function f (acc) { acc.persist(); }
   this._accounts.forEach(f);
+  this._multisig_accounts.forEach(f);
   return this;
 };
 
@@ -7,6 +7,8 @@ var Base58 = require('bs58');
 var BIP39 = require('bip39');
 var shared = require('./shared');
 var ImportExport = require('./import-export');
+var AddressTypes = require('./address-types');
+var MessageSignature = require('./message-signature');
 
 var Helpers = {};
 Math.log2 = function (x) { return Math.log(x) / Math.LN2; };
@@ -21,12 +23,24 @@ Helpers.isInstanceOf = function (object, theClass) {
   return object instanceof theClass;
 };
 Helpers.isBitcoinAddress = function (candidate) {
+  return Helpers.isBase58Address(candidate) || Helpers.isBech32Address(candidate);
+};
+Helpers.isBase58Address = function (candidate) {
   try {
     var d = Bitcoin.address.fromBase58Check(candidate);
     var n = Bitcoin.networks.bitcoin;
     return d.version === n.pubKeyHash || d.version === n.scriptHash;
   } catch (e) { return false; }
 };
+// native segwit v0 addresses: P2WPKH (20 byte program) or P2WSH (32 byte program)
+Helpers.isBech32Address = function (candidate) {
+  try {
+    var d = Bitcoin.address.fromBech32(candidate);
+    var n = Bitcoin.networks.bitcoin;
+    return d.prefix === n.bech32 && d.version === 0 &&
+      (d.data.length === 20 || d.data.length === 32);
+  } catch (e) { return false; }
+};
 Helpers.isBitcoinPrivateKey = function (candidate) {
   try {
     Bitcoin.ECPair.fromWIF(candidate);
@@ -42,6 +56,22 @@ Helpers.isXprivKey = function (k) {
 Helpers.isXpubKey = function (k) {
   return Helpers.isString(k) && k.substring(0, 4) === 'xpub';
 };
+Helpers.isYprivKey = function (k) {
+  return Helpers.isString(k) && k.substring(0, 4) === 'yprv';
+};
+Helpers.isYpubKey = function (k) {
+  return Helpers.isString(k) && k.substring(0, 4) === 'ypub';
+};
+Helpers.isZprivKey = function (k) {
+  return Helpers.isString(k) && k.substring(0, 4) === 'zprv';
+};
+Helpers.isZpubKey = function (k) {
+  return Helpers.isString(k) && k.substring(0, 4) === 'zpub';
+};
+// outpoints are written as txHash:outputIndex
+Helpers.isOutpoint = function (str) {
+  return Helpers.isString(str) && /^[A-Fa-f0-9]{64}:\d+$/.test(str);
+};
 Helpers.isAlphaNum = function (str) {
   return Helpers.isString(str) && /^[\-+,._\w\d\s]+$/.test(str);
 };
@@ -406,12 +436,47 @@ function sShift (symbol) {
   return (shared.satoshi / symbol.conversion).toString().length - 1;
 }
 
+// BTC amount (decimal string) to satoshi without floating point rounding
+// toSatoshi :: String -> Integer || null
+Helpers.toSatoshi = function (btc) {
+  var m = /^(\d+)(?:\.(\d{1,8}))?$/.exec(btc);
+  if (!m) return null;
+  var fraction = m[2] || '';
+  while (fraction.length < 8) fraction += '0';
+  var satoshi = parseInt(m[1], 10) * 100000000 + parseInt(fraction, 10);
+  return satoshi <= 21000000 * 100000000 ? satoshi : null;
+};
+
+// satoshi to a BTC amount (decimal string) without trailing zeros
+// toBTC :: Integer -> String
+Helpers.toBTC = function (satoshi) {
+  var fraction = String(satoshi % 100000000);
+  while (fraction.length < 8) fraction = '0' + fraction;
+  fraction = fraction.replace(/0+$/, '');
+  var integral = String(Math.floor(satoshi / 100000000));
+  return fraction === '' ? integral : integral + '.' + fraction;
+};
+
 Helpers.precisionToSatoshiBN = function (x) {
   return parseValueBitcoin(x).divide(BigInteger.valueOf(Math.pow(10, sShift(shared.getBTCSymbol())).toString()));
 };
 
+// BIP137 signatures of any address, BIP322 (simple) signatures of bech32 addresses
 Helpers.verifyMessage = function (address, signature, message) {
-  return Bitcoin.message.verify(address, signature, message);
+  return MessageSignature.verify(message, address, signature);
+};
+
+// like verifyMessage for the owner of a public key (Buffer or hex), whatever
+// the type of the addresses of the key (HD accounts derive segwit addresses too)
+Helpers.verifyMessageOfPublicKey = function (publicKey, signature, message) {
+  var keyPair;
+  try {
+    var buffer = Buffer.isBuffer(publicKey) ? publicKey : new Buffer(publicKey, 'hex');
+    keyPair = Bitcoin.ECPair.fromPublicKeyBuffer(buffer);
+  } catch (e) { return false; }
+  return AddressTypes.types.some(function (type) {
+    return MessageSignature.verify(message, AddressTypes.get(type).fromKeyPair(keyPair), signature);
+  });
 };
 
 module.exports = Helpers;
@@ -5,10 +5,13 @@ module.exports = KeyChain;
 var Bitcoin = require('bitcoinjs-lib');
 var assert = require('assert');
 var Helpers = require('./helpers');
+var AddressTypes = require('./address-types');
 
 // keychain
-function KeyChain (extendedKey, index, cache) {
+function KeyChain (extendedKey, index, cache, type) {
+  assert(AddressTypes.isValid(type), 'Unknown address type');
   this._chainRoot = null;
+  this._type = type || AddressTypes.DEFAULT_TYPE;
   this.init(extendedKey, index, cache);
 
   // this function should be part of the instance because it is memoized
@@ -24,6 +27,10 @@ Object.defineProperties(KeyChain.prototype, {
     configurable: false,
     get: function () { return this._chainRoot ? this._chainRoot.neutered().toBase58() : null; }
   },
+  'type': {
+    configurable: false,
+    get: function () { return this._type; }
+  },
   'isNeutered': {
     configurable: false,
     get: function () {
@@ -50,7 +57,7 @@ KeyChain.prototype.init = function (extendedKey, index, cache) {
 
 KeyChain.prototype.getAddress = function (index) {
   assert(Helpers.isPositiveInteger(index), 'Address index must be integer >= 0');
-  return this._getKey(index).getAddress();
+  return AddressTypes.get(this._type).fromKeyPair(this._getKey(index).keyPair);
 };
 
 KeyChain.prototype.getPrivateKey = function (index) {
@@ -58,3 +65,8 @@ KeyChain.prototype.getPrivateKey = function (index) {
   var key = this._getKey(index);
   return key ? key : null;
 };
+
+KeyChain.prototype.getPublicKey = function (index) {
+  assert(Helpers.isPositiveInteger(index), 'public key index must be integer >= 0');
+  return this._getKey(index).getPublicKeyBuffer();
+};
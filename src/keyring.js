@@ -7,9 +7,10 @@ var KeyChain = require('./keychain');
 
 // keyring: A collection of keychains
 
-function KeyRing (extendedKey, cache) {
+function KeyRing (extendedKey, cache, type) {
   this._receiveChain = null;
   this._changeChain = null;
+  this._type = type;
   this.init(extendedKey, cache);
 }
 
@@ -29,9 +30,9 @@ KeyRing.prototype.init = function (extendedKey, cache) {
   if (this._receiveChain && this._changeChain) return this;
   if (extendedKey || cache.receiveAccount && cache.changeAccount) {
     this._receiveChain = cache.receiveAccount
-      ? new KeyChain(null, null, cache.receiveAccount) : new KeyChain(extendedKey, 0);
+      ? new KeyChain(null, null, cache.receiveAccount, this._type) : new KeyChain(extendedKey, 0, null, this._type);
     this._changeChain = cache.changeAccount
-      ? new KeyChain(null, null, cache.changeAccount) : new KeyChain(extendedKey, 1);
+      ? new KeyChain(null, null, cache.changeAccount, this._type) : new KeyChain(extendedKey, 1, null, this._type);
   }
   return this;
 };
@@ -0,0 +1,139 @@
+'use strict';
+
+var assert = require('assert');
+var Bitcoin = require('bitcoinjs-lib');
+var BitcoinMessage = require('bitcoinjs-message');
+var Buffer = require('buffer').Buffer;
+var secp256k1 = require('secp256k1');
+var AddressTypes = require('./address-types');
+
+// Signed messages proving the ownership of an address, in two formats:
+//   BIP137   65 bytes, a header byte and the compact signature of the magic
+//            hash of the message. The header says how to turn the recovered
+//            public key into the address:
+//              27-30 P2PKH (uncompressed key)  31-34 P2PKH
+//              35-38 P2SH-P2WPKH               39-42 P2WPKH (bech32)
+//   BIP322   simple format, the witness stack spending the address in a
+//            virtual transaction committing to the message (bech32 only)
+// Both are base64 encoded. Signatures of segwit addresses with a P2PKH
+// header (31-34), as made by wallets that predate BIP137, are accepted too.
+
+var HEADERS = { legacy: 31, segwitP2SH: 35, bech32: 39 };
+
+var SIGHASH_ALL = Bitcoin.Transaction.SIGHASH_ALL;
+
+// hash of the message committed to by BIP322 transactions
+function bip322Hash (message) {
+  var tag = Bitcoin.crypto.sha256(new Buffer('BIP0322-signed-message', 'utf8'));
+  return Bitcoin.crypto.sha256(Buffer.concat([tag, tag, new Buffer(message, 'utf8')]));
+}
+
+// the transaction signed by BIP322 signatures, spending the output of the address
+function bip322Transaction (message, outputScript) {
+  var toSpend = new Bitcoin.Transaction();
+  toSpend.version = 0;
+  var scriptSig = Bitcoin.script.compile([Bitcoin.opcodes.OP_0, bip322Hash(message)]);
+  toSpend.addInput(new Buffer(32).fill(0), 0xffffffff, 0, scriptSig);
+  toSpend.addOutput(outputScript, 0);
+
+  var toSign = new Bitcoin.Transaction();
+  toSign.version = 0;
+  toSign.addInput(toSpend.getHash(), 0, 0);
+  toSign.addOutput(Bitcoin.script.compile([Bitcoin.opcodes.OP_RETURN]), 0);
+  return toSign;
+}
+
+// the hash signed by the key of a P2WPKH program
+function bip322SignatureHash (message, program) {
+  var outputScript = Bitcoin.script.witnessPubKeyHash.output.encode(program);
+  var scriptCode = Bitcoin.script.pubKeyHash.output.encode(program);
+  return bip322Transaction(message, outputScript).hashForWitnessV0(0, scriptCode, 0, SIGHASH_ALL);
+}
+
+// witness stacks are vectors of byte vectors, the items of P2WPKH stacks
+// are all shorter than 0xfd bytes
+function encodeWitness (stack) {
+  return Buffer.concat([new Buffer([stack.length])].concat(stack.map(function (item) {
+    return Buffer.concat([new Buffer([item.length]), item]);
+  })));
+}
+
+function decodeWitness (buffer) {
+  var offset = 0;
+  var read = function () {
+    assert(offset < buffer.length && buffer[offset] < 0xfd, 'Unsupported witness');
+    return buffer[offset++];
+  };
+  var stack = [];
+  for (var n = read(); n > 0; n--) {
+    var length = read();
+    assert(offset + length <= buffer.length, 'Truncated witness');
+    stack.push(buffer.slice(offset, offset + length));
+    offset += length;
+  }
+  assert(offset === buffer.length, 'Trailing witness data');
+  return stack;
+}
+
+function signBip137 (message, keyPair, type) {
+  var signed = secp256k1.sign(BitcoinMessage.magicHash(message), keyPair.d.toBuffer(32));
+  var header = type === 'legacy' && !keyPair.compressed ? 27 : HEADERS[type];
+  return Buffer.concat([new Buffer([header + signed.recovery]), signed.signature]).toString('base64');
+}
+
+function signBip322 (message, keyPair) {
+  var program = Bitcoin.crypto.hash160(keyPair.getPublicKeyBuffer());
+  var signature = keyPair.sign(bip322SignatureHash(message, program)).toScriptSignature(SIGHASH_ALL);
+  return encodeWitness([signature, keyPair.getPublicKeyBuffer()]).toString('base64');
+}
+
+// signs a message for the address of the given type of a key pair, bech32
+// addresses get BIP322 signatures unless options.format is 'bip137'
+// sign :: String -> ECPair -> type -> {format} -> base64
+function sign (message, keyPair, type, options) {
+  type = type == null ? AddressTypes.DEFAULT_TYPE : type;
+  assert(HEADERS.hasOwnProperty(type), 'Unknown address type ' + type);
+  assert(type === 'legacy' || keyPair.compressed, 'Segwit addresses need a compressed key');
+  var format = (options && options.format) || (type === 'bech32' ? 'bip322' : 'bip137');
+  assert(format === 'bip137' || (format === 'bip322' && type === 'bech32'), 'Unsupported signature format ' + format);
+  return format === 'bip322' ? signBip322(message, keyPair) : signBip137(message, keyPair, type);
+}
+
+function verifyBip137 (message, address, type, buffer) {
+  var header = buffer[0];
+  assert(header >= 27 && header <= 42, 'Invalid signature header');
+  var compressed = header >= 31;
+  var publicKey = secp256k1.recover(BitcoinMessage.magicHash(message), buffer.slice(1), (header - 27) & 3, compressed);
+  var keyPair = Bitcoin.ECPair.fromPublicKeyBuffer(publicKey);
+  var signedType = header < 35 ? 'legacy' : header < 39 ? 'segwitP2SH' : 'bech32';
+  var isType = function (t) { return AddressTypes.get(t).fromKeyPair(keyPair) === address; };
+  return isType(signedType) || (signedType === 'legacy' && compressed && isType(type));
+}
+
+function verifyBip322 (message, address, buffer) {
+  var stack = decodeWitness(buffer);
+  assert(stack.length === 2, 'Not a P2WPKH witness');
+  var signature = Bitcoin.ECSignature.parseScriptSignature(stack[0]);
+  var keyPair = Bitcoin.ECPair.fromPublicKeyBuffer(stack[1]);
+  var program = Bitcoin.crypto.hash160(stack[1]);
+  return signature.hashType === SIGHASH_ALL &&
+    AddressTypes.get('bech32').fromKeyPair(keyPair) === address &&
+    keyPair.verify(bip322SignatureHash(message, program), signature.signature);
+}
+
+// verify :: String -> address -> base64 -> Boolean
+function verify (message, address, signature) {
+  try {
+    var type = AddressTypes.fromOutputScript(Bitcoin.address.toOutputScript(address));
+    var buffer = new Buffer(signature, 'base64');
+    if (type === null) return false;
+    if (buffer.length === 65) return verifyBip137(message, address, type, buffer);
+    return type === 'bech32' && verifyBip322(message, address, buffer);
+  } catch (e) { return false; }
+}
+
+module.exports = {
+  sign: sign,
+  verify: verify,
+  bip322Hash: bip322Hash
+};
@@ -0,0 +1,365 @@
+'use strict';
+
+module.exports = MultisigAccount;
+
+var Bitcoin = require('bitcoinjs-lib');
+var assert = require('assert');
+var Buffer = require('buffer').Buffer;
+var Helpers = require('./helpers');
+var KeyRing = require('./keyring');
+var MyWallet = require('./wallet'); // This cyclic import should be avoided once the refactor is complete
+
+// m-of-n multisig account shared by several cosigners.
+// Every cosigner contributes an account extended public key, the address at
+// chain/index pays to a multisig script made of the (BIP 67 sorted) public
+// keys of all cosigners at that same chain/index. Only our own cosigner key
+// (xpriv) is stored, the rest of the signatures come from the other cosigners.
+// The key origin of a cosigner (master key fingerprint and derivation path of
+// its account key) lets signers holding the seed find their keys in PSBTs.
+// Cosigners can be given with their origin as in output descriptors:
+//   [d34db33f/48'/0'/0'/2']xpub...
+
+var MultisigTypes = {
+  p2sh: {
+    // BIP 48 script type, 0' is used for plain P2SH as BIP 48 leaves it undefined
+    scriptTypeIndex: 0,
+    witness: false,
+    // outpoint, sequence, scriptSig with OP_0, m signatures and the redeem script
+    inputSize: function (m, n) { return 40 + 3 + 1 + m * 73 + 2 + (3 + n * 34); },
+    toAddress: function (script) {
+      return Bitcoin.address.fromOutputScript(
+        Bitcoin.script.scriptHash.output.encode(Bitcoin.crypto.hash160(script)));
+    }
+  },
+  p2wsh: {
+    scriptTypeIndex: 2,
+    witness: true,
+    // witness data is discounted (BIP 141 virtual size)
+    inputSize: function (m, n) { return 41 + Math.ceil((1 + 1 + m * 73 + 1 + (3 + n * 34)) / 4); },
+    toAddress: function (script) {
+      return Bitcoin.address.fromOutputScript(
+        Bitcoin.script.witnessScriptHash.output.encode(Bitcoin.crypto.sha256(script)));
+    }
+  }
+};
+
+var MAX_COSIGNERS = 15;
+var HARDENED = 0x80000000;
+// unused addresses checked past the current indexes, cosigners may have used them
+var LOOKAHEAD = 20;
+
+function MultisigAccount (object) {
+  var obj = object || {};
+  obj.xpubs = obj.xpubs || [];
+  obj.cache = obj.cache || [];
+  // serializable data
+  this._label = obj.label;
+  this._archived = obj.archived || false;
+  this._m = obj.m;
+  this._type = obj.type || 'p2sh';
+  this._xpriv = obj.xpriv;
+  this._xpubs = obj.xpubs;
+  // [{fingerprint :: hex, path :: "m/48'/0'/0'/2'"} || null] parallel to xpubs
+  this._origins = obj.origins || obj.xpubs.map(function () { return null; });
+  this._receiveIndex = Helpers.isPositiveInteger(obj.receive_index) ? obj.receive_index : 0;
+  this._changeIndex = Helpers.isPositiveInteger(obj.change_index) ? obj.change_index : 0;
+
+  // computed properties
+  this._keyRings = obj.xpubs.map(function (xpub, i) { return new KeyRing(xpub, obj.cache[i]); });
+  this._paths = {};
+  this._index = Helpers.isPositiveInteger(obj.index) ? obj.index : null;
+}
+
+// PUBLIC PROPERTIES
+
+Object.defineProperties(MultisigAccount.prototype, {
+  'label': {
+    configurable: false,
+    get: function () { return this._label; },
+    set: function (str) {
+      assert(Helpers.isValidLabel(str), 'Error: account.label must be an alphanumeric string');
+      this._label = str;
+      MyWallet.syncWallet();
+    }
+  },
+  'archived': {
+    configurable: false,
+    get: function () { return this._archived; },
+    set: function (value) {
+      assert(Helpers.isBoolean(value), 'Error: account.archived must be a boolean');
+      this._archived = value;
+      MyWallet.syncWallet();
+    }
+  },
+  'm': {
+    configurable: false,
+    get: function () { return this._m; }
+  },
+  'n': {
+    configurable: false,
+    get: function () { return this._xpubs.length; }
+  },
+  'type': {
+    configurable: false,
+    get: function () { return this._type; }
+  },
+  // size estimation used by coin selection and fees (see Transaction.guessSize)
+  'inputType': {
+    configurable: false,
+    get: function () {
+      var t = MultisigTypes[this._type];
+      return { multisig: this._type, inputSize: t.inputSize(this._m, this.n), witness: t.witness };
+    }
+  },
+  'extendedPublicKeys': {
+    configurable: false,
+    get: function () { return this._xpubs.slice(); }
+  },
+  // [{xpub, fingerprint, path}] key origin of every cosigner, cosigners of
+  // unknown origin are their own master key
+  'keyOrigins': {
+    configurable: false,
+    get: function () {
+      return this._xpubs.map(function (xpub, i) {
+        var origin = this._origins[i];
+        return origin
+          ? { xpub: xpub, fingerprint: new Buffer(origin.fingerprint, 'hex'), path: parsePath(origin.path) }
+          : { xpub: xpub, fingerprint: Bitcoin.HDNode.fromBase58(xpub).getFingerprint(), path: [] };
+      }, this);
+    }
+  },
+  'extendedPrivateKey': {
+    configurable: false,
+    get: function () { return this._xpriv; }
+  },
+  'isWatchOnly': {
+    configurable: false,
+    get: function () { return !this._xpriv; }
+  },
+  'receiveIndex': {
+    configurable: false,
+    get: function () { return this._receiveIndex; }
+  },
+  'changeIndex': {
+    configurable: false,
+    get: function () { return this._changeIndex; }
+  },
+  'receiveAddress': {
+    configurable: false,
+    get: function () { return this.addressAtPath('M/0/' + this._receiveIndex); }
+  },
+  'changeAddress': {
+    configurable: false,
+    get: function () { return this.addressAtPath('M/1/' + this._changeIndex); }
+  },
+  // addresses that may hold coins of this account
+  'addresses': {
+    configurable: false,
+    get: function () { return deriveAddresses(this); }
+  },
+  'isEncrypted': {
+    configurable: false,
+    get: function () { return !this._xpriv || (Helpers.isBase64(this._xpriv) && !Helpers.isXprivKey(this._xpriv)); }
+  },
+  'isUnEncrypted': {
+    configurable: false,
+    get: function () { return !this._xpriv || Helpers.isXprivKey(this._xpriv); }
+  },
+  'index': {
+    configurable: false,
+    get: function () { return this._index; }
+  }
+});
+
+function deriveAddresses (account) {
+  var addresses = [];
+  for (var r = 0; r < account._receiveIndex + LOOKAHEAD; r++) {
+    addresses.push(account.addressAtPath('M/0/' + r));
+  }
+  for (var c = 0; c < account._changeIndex + LOOKAHEAD; c++) {
+    addresses.push(account.addressAtPath('M/1/' + c));
+  }
+  return addresses;
+}
+
+// CONSTRUCTORS
+
+// "[d34db33f/48'/0'/0'/2']xpub..." || "xpub..." -> {xpub, origin}
+function parseCosigner (key) {
+  var match = Helpers.isString(key) ? /^\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\](.*)$/.exec(key) : null;
+  var cosigner = match
+    ? { xpub: match[3], origin: { fingerprint: match[1].toLowerCase(), path: 'm' + match[2].replace(/h/g, "'") } }
+    : { xpub: key, origin: null };
+  assert(Helpers.isXpubKey(cosigner.xpub), 'Cosigner extended public keys must be given to create a multisig account.');
+  return cosigner;
+}
+
+// "m/48'/0'/0'/2'" -> [0x80000030, 0x80000000, 0x80000000, 0x80000002]
+function parsePath (path) {
+  return path.split('/').slice(1).map(function (c) {
+    var hardened = c.slice(-1) === "'";
+    return (parseInt(c, 10) + (hardened ? HARDENED : 0)) >>> 0;
+  });
+}
+
+// ownKey is our cosigner account key (HDNode), null for a watch-only account,
+// ownOrigin its key origin {fingerprint, path} when known
+MultisigAccount.fromCosigners = function (ownKey, cosignerXpubs, m, index, label, type, ownOrigin) {
+  type = type || 'p2sh';
+  assert(MultisigTypes.hasOwnProperty(type), 'Unknown multisig type');
+  assert(Array.isArray(cosignerXpubs), 'Cosigner extended public keys must be given to create a multisig account.');
+  var cosigners = cosignerXpubs.map(parseCosigner);
+  var xpubs = (ownKey ? [ownKey.neutered().toBase58()] : []).concat(cosigners.map(function (c) { return c.xpub; }));
+  var origins = (ownKey ? [ownOrigin || null] : []).concat(cosigners.map(function (c) { return c.origin; }));
+  assert(xpubs.every(function (x, i) { return xpubs.indexOf(x) === i; }), 'Cosigner keys must be different');
+  assert(xpubs.length >= 2 && xpubs.length <= MAX_COSIGNERS, 'A multisig account needs between 2 and ' + MAX_COSIGNERS + ' cosigners');
+  assert(Helpers.isPositiveInteger(m) && m >= 1 && m <= xpubs.length, 'Required signatures must be between 1 and the number of cosigners');
+  return new MultisigAccount({
+    label: label,
+    m: m,
+    type: type,
+    xpriv: ownKey ? ownKey.toBase58() : null,
+    xpubs: xpubs,
+    origins: origins,
+    index: index
+  });
+};
+
+/* Our cosigner key follows BIP 48:
+ * m / 48' / coin_type' / account' / script_type'
+ */
+MultisigAccount.fromWalletMasterKey = function (masterkey, cosignerXpubs, m, index, label, type) {
+  assert(masterkey, 'Wallet MasterKey must be given to create an account.');
+  assert(Helpers.isPositiveInteger(index), 'Derivation index must be a positive integer.');
+  assert(MultisigTypes.hasOwnProperty(type || 'p2sh'), 'Unknown multisig type');
+  var scriptTypeIndex = MultisigTypes[type || 'p2sh'].scriptTypeIndex;
+  var ownKey = masterkey.deriveHardened(48).deriveHardened(0).deriveHardened(index).deriveHardened(scriptTypeIndex);
+  var ownOrigin = {
+    fingerprint: masterkey.getFingerprint().toString('hex'),
+    path: "m/48'/0'/" + index + "'/" + scriptTypeIndex + "'"
+  };
+  return MultisigAccount.fromCosigners(ownKey, cosignerXpubs, m, index, label, type, ownOrigin);
+};
+
+MultisigAccount.factory = function (o) {
+  if (o instanceof Object && !(o instanceof MultisigAccount)) {
+    return new MultisigAccount(o);
+  } else {
+    return o;
+  }
+};
+
+MultisigAccount.isValidType = function (type) {
+  return MultisigTypes.hasOwnProperty(type);
+};
+
+// JSON SERIALIZER
+
+MultisigAccount.prototype.toJSON = function () {
+  return {
+    label: this._label,
+    archived: this._archived,
+    m: this._m,
+    type: this._type,
+    xpriv: this._xpriv,
+    xpubs: this._xpubs,
+    origins: this._origins,
+    receive_index: this._receiveIndex,
+    change_index: this._changeIndex,
+    cache: this._keyRings
+  };
+};
+
+MultisigAccount.reviver = function (k, v) {
+  if (k === '') return new MultisigAccount(v);
+  return v;
+};
+
+// SCRIPTS AND ADDRESSES
+
+// "M/0/0" -> multisig script with the sorted public keys of all cosigners
+MultisigAccount.prototype.scriptAtPath = function (path) {
+  var pubKeys = this.derivationsAtPath(path).map(function (d) { return d.pubkey; });
+  pubKeys.sort(function (a, b) { return a.compare(b); });
+  return Bitcoin.script.multisig.output.encode(this._m, pubKeys);
+};
+
+// "M/0/0" -> [{pubkey, fingerprint, path}] key of every cosigner at path,
+// with the full path from the master key of the cosigner (BIP 174)
+MultisigAccount.prototype.derivationsAtPath = function (path) {
+  var components = path.split('/');
+  assert(components[0] === 'M', 'Invalid Path prefix');
+  assert(components[1] === '0' || components[1] === '1'
+    , 'Invalid Path: change/receive index out of bounds');
+  assert(components.length === 3, 'Invalid Path length');
+  var change = parseInt(components[1], 10);
+  var index = parseInt(components[2], 10);
+  this._keyOrigins = this._keyOrigins || this.keyOrigins;
+  return this._keyRings.map(function (keyRing, i) {
+    var chain = change === 0 ? keyRing.receive : keyRing.change;
+    var origin = this._keyOrigins[i];
+    return { pubkey: chain.getPublicKey(index), fingerprint: origin.fingerprint, path: origin.path.concat([change, index]) };
+  }, this);
+};
+
+MultisigAccount.prototype.addressAtPath = function (path) {
+  var address = MultisigTypes[this._type].toAddress(this.scriptAtPath(path));
+  this._paths[address] = path;
+  return address;
+};
+
+// the path of an address, null if it has not been derived (see addresses)
+MultisigAccount.prototype.pathOfAddress = function (address) {
+  if (!this._paths.hasOwnProperty(address)) deriveAddresses(this);
+  return this._paths.hasOwnProperty(address) ? this._paths[address] : null;
+};
+
+// redeemScript/witnessScript arguments of TransactionBuilder.sign
+MultisigAccount.prototype.signScriptsAtPath = function (path) {
+  var script = this.scriptAtPath(path);
+  return this._type === 'p2wsh'
+    ? { redeemScript: undefined, witnessScript: script }
+    : { redeemScript: script, witnessScript: undefined };
+};
+
+MultisigAccount.prototype.receiveAddressAtIndex = function (index) {
+  assert(Helpers.isPositiveInteger(index), 'Error: address index must be a positive integer');
+  return this.addressAtPath('M/0/' + index);
+};
+
+MultisigAccount.prototype.incrementReceiveIndex = function () {
+  this._receiveIndex++;
+  MyWallet.syncWallet();
+  return this;
+};
+
+MultisigAccount.prototype.incrementChangeIndex = function () {
+  this._changeIndex++;
+  MyWallet.syncWallet();
+  return this;
+};
+
+// ENCRYPTION
+
+MultisigAccount.prototype.encrypt = function (cipher) {
+  if (!this._xpriv) return this;
+  var xpriv = cipher ? cipher(this._xpriv) : this._xpriv;
+  assert(xpriv, 'Error Encoding account extended private key');
+  this._temporal_xpriv = xpriv;
+  return this;
+};
+
+MultisigAccount.prototype.decrypt = function (cipher) {
+  if (!this._xpriv) return this;
+  var xpriv = cipher ? cipher(this._xpriv) : this._xpriv;
+  assert(xpriv, 'Error Decoding account extended private key');
+  this._temporal_xpriv = xpriv;
+  return this;
+};
+
+MultisigAccount.prototype.persist = function () {
+  if (!this._temporal_xpriv) return this;
+  this._xpriv = this._temporal_xpriv;
+  delete this._temporal_xpriv;
+  return this;
+};
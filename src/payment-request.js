@@ -0,0 +1,475 @@
+'use strict';
+/* global fetch */
+
+var assert = require('assert');
+var crypto = require('crypto');
+var Bitcoin = require('bitcoinjs-lib');
+var Buffer = require('buffer').Buffer;
+
+// Payment protocol (BIP 70): the merchant serves a PaymentRequest with the
+// outputs to pay, signed with its X.509 certificate. Before the transaction is
+// broadcast the wallet posts a Payment message (the transaction and a refund
+// address) to the merchant, who answers with a PaymentACK.
+// Requests that can't be paid are rejected as {error, ...}:
+//   INVALID_PAYMENT_REQUEST, WRONG_NETWORK, PAYMENT_REQUEST_EXPIRED,
+//   UNSUPPORTED_OUTPUT, UNSUPPORTED_PKI_TYPE, INVALID_CERTIFICATE,
+//   CERTIFICATE_EXPIRED, UNTRUSTED_CERTIFICATE, INVALID_SIGNATURE
+
+var CONTENT_TYPE = {
+  request: 'application/bitcoin-paymentrequest',
+  payment: 'application/bitcoin-payment',
+  ack: 'application/bitcoin-paymentack'
+};
+
+var PKI_HASHES = { 'x509+sha256': 'RSA-SHA256', 'x509+sha1': 'RSA-SHA1' };
+
+// certificate signature algorithms (OIDs of sha*WithRSAEncryption)
+var CERTIFICATE_HASHES = {
+  '1.2.840.113549.1.1.5': 'RSA-SHA1',
+  '1.2.840.113549.1.1.11': 'RSA-SHA256',
+  '1.2.840.113549.1.1.12': 'RSA-SHA384',
+  '1.2.840.113549.1.1.13': 'RSA-SHA512'
+};
+var OID_COMMON_NAME = '2.5.4.3';
+var OID_BASIC_CONSTRAINTS = '2.5.29.19';
+
+// protocol buffers messages of BIP 70, field :: [number, type, repeated]
+var messages = {};
+messages.Output = { amount: [1, 'uint64'], script: [2, 'bytes'] };
+messages.PaymentDetails = {
+  network: [1, 'string'],
+  outputs: [2, messages.Output, true],
+  time: [3, 'uint64'],
+  expires: [4, 'uint64'],
+  memo: [5, 'string'],
+  paymentUrl: [6, 'string'],
+  merchantData: [7, 'bytes']
+};
+messages.PaymentRequest = {
+  paymentDetailsVersion: [1, 'uint32'],
+  pkiType: [2, 'string'],
+  pkiData: [3, 'bytes'],
+  serializedPaymentDetails: [4, 'bytes'],
+  signature: [5, 'bytes']
+};
+messages.X509Certificates = { certificate: [1, 'bytes', true] };
+messages.Payment = {
+  merchantData: [1, 'bytes'],
+  transactions: [2, 'bytes', true],
+  refundTo: [3, messages.Output, true],
+  memo: [4, 'string']
+};
+messages.PaymentACK = { payment: [1, messages.Payment], memo: [2, 'string'] };
+
+// Protocol buffers
+
+function writeVarint (n) {
+  var bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return new Buffer(bytes);
+}
+
+function readVarint (buffer, offset) {
+  var n = 0;
+  var shift = 1;
+  var i = offset;
+  do {
+    assert(i < buffer.length, 'Truncated message');
+    n += (buffer[i] & 0x7f) * shift;
+    shift *= 0x80;
+  } while (buffer[i++] & 0x80);
+  return { value: n, end: i };
+}
+
+// fieldsOf :: Buffer -> [{number, wireType, value, start, end}]
+function fieldsOf (buffer) {
+  var fields = [];
+  var offset = 0;
+  while (offset < buffer.length) {
+    var start = offset;
+    var key = readVarint(buffer, offset);
+    var wireType = key.value % 8;
+    var value;
+    offset = key.end;
+    if (wireType === 0) {
+      var varint = readVarint(buffer, offset);
+      value = varint.value;
+      offset = varint.end;
+    } else if (wireType === 2) {
+      var length = readVarint(buffer, offset);
+      offset = length.end + length.value;
+      value = buffer.slice(length.end, offset);
+    } else if (wireType === 1 || wireType === 5) {
+      value = buffer.slice(offset, offset + (wireType === 1 ? 8 : 4));
+      offset += value.length;
+    } else {
+      throw new Error('Unsupported wire type ' + wireType);
+    }
+    assert(offset <= buffer.length, 'Truncated message');
+    fields.push({ number: Math.floor(key.value / 8), wireType: wireType, value: value, start: start, end: offset });
+  }
+  return fields;
+}
+
+function isVarintType (type) {
+  return type === 'uint64' || type === 'uint32';
+}
+
+// decode :: message type -> Buffer -> Object, unknown fields are skipped
+function decode (type, buffer) {
+  var names = Object.keys(type);
+  var message = {};
+  names.forEach(function (name) { if (type[name][2]) message[name] = []; });
+  fieldsOf(buffer).forEach(function (field) {
+    var name = names.filter(function (n) { return type[n][0] === field.number; })[0];
+    if (name === undefined) return;
+    var fieldType = type[name][1];
+    assert.equal(field.wireType, isVarintType(fieldType) ? 0 : 2, 'Unexpected wire type for ' + name);
+    var value = fieldType === 'string' ? field.value.toString('utf8')
+      : isVarintType(fieldType) || fieldType === 'bytes' ? field.value
+      : decode(fieldType, field.value);
+    if (type[name][2]) message[name].push(value); else message[name] = value;
+  });
+  return message;
+}
+
+// encode :: message type -> Object -> Buffer
+function encode (type, message) {
+  var names = Object.keys(type).sort(function (a, b) { return type[a][0] - type[b][0]; });
+  var parts = [];
+  names.forEach(function (name) {
+    var number = type[name][0];
+    var fieldType = type[name][1];
+    var values = type[name][2] ? message[name] || [] : [message[name]];
+    values.filter(function (v) { return v != null; }).forEach(function (value) {
+      if (isVarintType(fieldType)) {
+        parts.push(writeVarint(number * 8), writeVarint(value));
+      } else {
+        var bytes = fieldType === 'string' ? new Buffer(value, 'utf8')
+          : fieldType === 'bytes' ? value
+          : encode(fieldType, value);
+        parts.push(writeVarint(number * 8 + 2), writeVarint(bytes.length), bytes);
+      }
+    });
+  });
+  return Buffer.concat(parts);
+}
+
+// the signed bytes of a request: the request itself with an empty signature
+function unsignedOf (buffer) {
+  var signature = messages.PaymentRequest.signature[0];
+  return Buffer.concat(fieldsOf(buffer).map(function (field) {
+    return field.number === signature
+      ? Buffer.concat([writeVarint(signature * 8 + 2), writeVarint(0)])
+      : buffer.slice(field.start, field.end);
+  }));
+}
+
+// X.509 certificates (DER)
+
+function derAt (buffer, offset) {
+  assert(offset + 2 <= buffer.length, 'Truncated certificate');
+  var length = buffer[offset + 1];
+  var contentStart = offset + 2;
+  if (length & 0x80) {
+    var n = length & 0x7f;
+    length = 0;
+    for (var i = 0; i < n; i++) length = length * 256 + buffer[contentStart + i];
+    contentStart += n;
+  }
+  assert(contentStart + length <= buffer.length, 'Truncated certificate');
+  return { buffer: buffer, tag: buffer[offset], start: offset, contentStart: contentStart, end: contentStart + length };
+}
+
+function derChildren (element) {
+  var children = [];
+  var offset = element.contentStart;
+  while (offset < element.end) {
+    children.push(derAt(element.buffer, offset));
+    offset = children[children.length - 1].end;
+  }
+  return children;
+}
+
+function derBytes (element) {
+  return element.buffer.slice(element.start, element.end);
+}
+
+function derContent (element) {
+  return element.buffer.slice(element.contentStart, element.end);
+}
+
+function oidOf (element) {
+  var bytes = derContent(element);
+  var parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  var value = 0;
+  for (var i = 1; i < bytes.length; i++) {
+    value = value * 128 + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+// UTCTime (YYMMDDHHMMSSZ) or GeneralizedTime (YYYYMMDDHHMMSSZ) in milliseconds
+function timeOf (element) {
+  var s = derContent(element).toString('ascii');
+  if (element.tag === 0x17) s = (parseInt(s.slice(0, 2), 10) < 50 ? '20' : '19') + s;
+  var n = function (from, to) { return parseInt(s.slice(from, to), 10); };
+  return Date.UTC(n(0, 4), n(4, 6) - 1, n(6, 8), n(8, 10), n(10, 12), n(12, 14));
+}
+
+function commonNameOf (name) {
+  var commonName = null;
+  derChildren(name).forEach(function (set) {
+    derChildren(set).forEach(function (attribute) {
+      var pair = derChildren(attribute);
+      if (oidOf(pair[0]) === OID_COMMON_NAME) commonName = derContent(pair[1]).toString('utf8');
+    });
+  });
+  return commonName;
+}
+
+function isCertificateAuthority (extensions) {
+  if (!extensions) return false;
+  return derChildren(derChildren(extensions)[0]).some(function (extension) {
+    var parts = derChildren(extension);
+    if (oidOf(parts[0]) !== OID_BASIC_CONSTRAINTS) return false;
+    var constraints = derChildren(derAt(derContent(parts[parts.length - 1]), 0));
+    return constraints.length > 0 && constraints[0].tag === 0x01 && derContent(constraints[0])[0] !== 0;
+  });
+}
+
+// certificateOf :: DER Buffer -> certificate
+function certificateOf (der) {
+  var parts = derChildren(derAt(der, 0));
+  var tbs = derChildren(parts[0]);
+  // explicit version
+  if (tbs[0].tag === 0xa0) tbs = tbs.slice(1);
+  var validity = derChildren(tbs[3]);
+  return {
+    der: der,
+    tbs: derBytes(parts[0]),
+    algorithm: CERTIFICATE_HASHES[oidOf(derChildren(parts[1])[0])],
+    // first byte of the bit string is the number of unused bits
+    signature: derContent(parts[2]).slice(1),
+    issuer: derBytes(tbs[2]),
+    subject: derBytes(tbs[4]),
+    commonName: commonNameOf(tbs[4]),
+    notBefore: timeOf(validity[0]),
+    notAfter: timeOf(validity[1]),
+    publicKey: derBytes(tbs[5]),
+    isCA: isCertificateAuthority(tbs.filter(function (e) { return e.tag === 0xa3; })[0])
+  };
+}
+
+// certificates are given as DER buffers, base64 or PEM
+function derOf (certificate) {
+  if (Buffer.isBuffer(certificate)) return certificate;
+  return new Buffer(certificate.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''), 'base64');
+}
+
+function pemOf (publicKey) {
+  var lines = publicKey.toString('base64').match(/.{1,64}/g);
+  return '-----BEGIN PUBLIC KEY-----\n' + lines.join('\n') + '\n-----END PUBLIC KEY-----\n';
+}
+
+function isSignedBy (publicKey, algorithm, data, signature) {
+  if (!algorithm) return false;
+  try {
+    return crypto.createVerify(algorithm).update(data).verify(pemOf(publicKey), signature);
+  } catch (e) {
+    return false;
+  }
+}
+
+function isIssuedBy (certificate, issuer) {
+  return issuer.isCA && certificate.issuer.equals(issuer.subject) &&
+    isSignedBy(issuer.publicKey, certificate.algorithm, certificate.tbs, certificate.signature);
+}
+
+// the first certificate is the merchant's, each one is issued by the next and
+// the last one by (or is) a trusted root
+function chainErrorOf (certificates, roots, now) {
+  var isValidAt = function (c) { return c.notBefore <= now && now <= c.notAfter; };
+  if (!certificates.every(isValidAt)) return { error: 'CERTIFICATE_EXPIRED' };
+  for (var i = 0; i < certificates.length - 1; i++) {
+    if (!isIssuedBy(certificates[i], certificates[i + 1])) return { error: 'UNTRUSTED_CERTIFICATE' };
+  }
+  var last = certificates[certificates.length - 1];
+  var isTrusted = roots.some(function (root) {
+    return root.der.equals(last.der) || (isValidAt(root) && isIssuedBy(last, root));
+  });
+  return isTrusted ? null : { error: 'UNTRUSTED_CERTIFICATE' };
+}
+
+// Payment requests
+
+// addresses for standard outputs, {data} for an OP_RETURN output
+function destinationOf (output) {
+  try {
+    return Bitcoin.address.fromOutputScript(output.script);
+  } catch (e) {
+    var isData = Bitcoin.script.classifyOutput(output.script) === 'nulldata' && output.amount === 0;
+    return isData ? { data: Bitcoin.script.nullData.output.decode(output.script) } : null;
+  }
+}
+
+// parse :: Buffer -> request || {error}
+// request :: {pkiType, certificates, signature, details: {network, outputs: [{amount, script}],
+//             time, expires, memo, paymentUrl, merchantData}, merchant, verified, raw}
+// raw is the serialized request, which resumed payments parse again
+function parse (buffer) {
+  try {
+    var request = decode(messages.PaymentRequest, buffer);
+    var details = decode(messages.PaymentDetails, request.serializedPaymentDetails || new Buffer(0));
+    assert((request.paymentDetailsVersion || 1) === 1, 'Unsupported version');
+    var pkiType = request.pkiType || 'none';
+    return {
+      pkiType: pkiType,
+      certificates: pkiType === 'none' ? [] : decode(messages.X509Certificates, request.pkiData || new Buffer(0)).certificate,
+      signature: request.signature || new Buffer(0),
+      unsigned: unsignedOf(buffer),
+      details: {
+        network: details.network || 'main',
+        outputs: details.outputs.map(function (o) { return { amount: o.amount || 0, script: o.script }; }),
+        time: details.time,
+        expires: details.expires || 0,
+        memo: details.memo || null,
+        paymentUrl: details.paymentUrl || null,
+        merchantData: details.merchantData || null
+      },
+      merchant: null,
+      verified: false,
+      raw: buffer
+    };
+  } catch (e) {
+    return { error: 'INVALID_PAYMENT_REQUEST', message: e.message };
+  }
+}
+
+// checks the network, expiry and outputs of the request and the certificate
+// chain of its signature, up to one of the trusted roots
+// verify :: request -> {trustedRoots: [certificate], now} -> Promise request
+function verify (request, options) {
+  options = options || {};
+  var now = options.now || Date.now();
+  if (request.error) return Promise.reject(request);
+  var details = request.details;
+  if (details.network !== 'main') {
+    return Promise.reject({ error: 'WRONG_NETWORK', network: details.network });
+  }
+  if (details.expires > 0 && details.expires * 1000 < now) {
+    return Promise.reject({ error: 'PAYMENT_REQUEST_EXPIRED', expires: details.expires });
+  }
+  var destinations = details.outputs.map(destinationOf);
+  var nData = destinations.filter(function (d) { return d !== null && typeof d === 'object'; }).length;
+  if (destinations.length === 0 || destinations.indexOf(null) > -1 || nData > 1) {
+    return Promise.reject({ error: 'UNSUPPORTED_OUTPUT' });
+  }
+  if (request.pkiType === 'none') return Promise.resolve(request);
+  if (!PKI_HASHES[request.pkiType]) {
+    return Promise.reject({ error: 'UNSUPPORTED_PKI_TYPE', pkiType: request.pkiType });
+  }
+
+  var certificates;
+  var roots;
+  try {
+    certificates = request.certificates.map(certificateOf);
+    roots = (options.trustedRoots || []).map(derOf).map(certificateOf);
+    assert(certificates.length > 0, 'No certificates');
+  } catch (e) {
+    return Promise.reject({ error: 'INVALID_CERTIFICATE', message: e.message });
+  }
+  var chainError = chainErrorOf(certificates, roots, now);
+  if (chainError) return Promise.reject(chainError);
+  if (!isSignedBy(certificates[0].publicKey, PKI_HASHES[request.pkiType], request.unsigned, request.signature)) {
+    return Promise.reject({ error: 'INVALID_SIGNATURE' });
+  }
+  request.merchant = certificates[0].commonName;
+  request.verified = true;
+  return Promise.resolve(request);
+}
+
+function bufferOf (response) {
+  if (response.status < 200 || response.status >= 300) {
+    return Promise.reject({ error: 'MERCHANT_ERROR', status: response.status });
+  }
+  return response.arrayBuffer().then(function (body) { return new Buffer(new Uint8Array(body)); });
+}
+
+// fetch :: url -> {trustedRoots, now} -> Promise request
+function fetchRequest (url, options) {
+  return fetch(url, { headers: { 'Accept': CONTENT_TYPE.request } })
+    .then(bufferOf)
+    .then(function (buffer) { return verify(parse(buffer), options); });
+}
+
+// sets the outputs and memo of the request as the destinations, amounts and
+// note of a payment, which is sent to the merchant before it is published
+// toPayment :: request -> Payment -> Payment
+function toPayment (request, payment) {
+  var destinations = request.details.outputs.map(destinationOf);
+  var amounts = request.details.outputs
+    .filter(function (o, i) { return typeof destinations[i] === 'string'; })
+    .map(function (o) { return o.amount; });
+  payment.to(destinations).amount(amounts).paymentRequest(request);
+  if (request.details.memo) payment.note(request.details.memo);
+  return payment;
+}
+
+// an error if the transaction doesn't pay every output of the request
+// errorOf :: request -> Bitcoin.Transaction -> now || undefined -> {error} || null
+function errorOf (request, transaction, now) {
+  var details = request.details;
+  if (details.expires > 0 && details.expires * 1000 < (now || Date.now())) {
+    return { error: 'PAYMENT_REQUEST_EXPIRED', expires: details.expires };
+  }
+  // every output pays a distinct output of the transaction
+  var outs = transaction.outs.slice();
+  var isPaid = details.outputs.every(function (output) {
+    var paying = outs.filter(function (out) { return out.script.equals(output.script) && out.value === output.amount; })[0];
+    if (paying) outs.splice(outs.indexOf(paying), 1);
+    return paying !== undefined;
+  });
+  return isPaid ? null : { error: 'PAYMENT_REQUEST_MISMATCH' };
+}
+
+// posts the Payment message to the merchant
+// send :: request -> Bitcoin.Transaction -> refund address || null -> Promise {memo}
+function send (request, transaction, refundAddress) {
+  var message = encode(messages.Payment, {
+    merchantData: request.details.merchantData,
+    transactions: [transaction.toBuffer()],
+    refundTo: refundAddress ? [{ amount: 0, script: Bitcoin.address.toOutputScript(refundAddress) }] : []
+  });
+  var options = {
+    method: 'POST',
+    headers: { 'Content-Type': CONTENT_TYPE.payment, 'Accept': CONTENT_TYPE.ack },
+    body: message
+  };
+  return fetch(request.details.paymentUrl, options)
+    .then(bufferOf)
+    .then(function (buffer) {
+      return { memo: decode(messages.PaymentACK, buffer).memo || null };
+    });
+}
+
+module.exports = {
+  CONTENT_TYPE: CONTENT_TYPE,
+  messages: messages,
+  encode: encode,
+  decode: decode,
+  parse: parse,
+  verify: verify,
+  fetch: fetchRequest,
+  toPayment: toPayment,
+  errorOf: errorOf,
+  send: send
+};
@@ -6,10 +6,32 @@ var WalletCrypto = require('./wallet-crypto');
 var Transaction = require('./transaction');
 var API = require('./api');
 var Helpers = require('./helpers');
+var ImportExport = require('./import-export');
 var KeyRing = require('./keyring');
+var MultisigAccount = require('./multisig-account');
+var AddressTypes = require('./address-types');
+var Psbt = require('./psbt');
+var PaymentRequest = require('./payment-request');
+var TransactionTracker = require('./transaction-tracker');
+var Broadcaster = require('./broadcaster');
+var Signer = require('./signer');
+var CoinSelection = require('./coin-selection');
 var EventEmitter = require('events');
 var util = require('util');
 
+// fee share (%) of the amount above which the preflight report warns
+var FEE_WARNING_PERCENT = 10;
+
+// payment state kept by Payment.toJSON. Private keys (wifKeys) are never
+// serialized and fee estimates are fetched again.
+var JSON_VERSION = 1;
+var JSON_FIELDS = [
+  'from', 'change', 'fromAccountIdx', 'fromAccounts', 'inputType', 'fromWatchOnly', 'coins', 'selectedCoins', 'balance',
+  'to', 'amounts', 'data', 'note', 'recipients', 'feePerByte', 'finalFee', 'changeAmount', 'extraFeeConsumption',
+  'sweepAmount', 'sweepFee', 'coinSelection', 'changePolicy', 'pinnedOutpoints', 'selectionStrategy', 'rbf',
+  'locktime', 'relativeLocktime', 'replaces', 'parent', 'txSize', 'partial', 'missingSignatures', 'psbt', 'unsigned'
+];
+
 // Payment Class
 
 function Payment (payment) {
@@ -55,17 +77,40 @@ function Payment (payment) {
     from: null, // origin
     amounts: [], // list of amounts to spend entered in the form
     to: [], // list of destinations entered in the form
-    feePerKb: serverFeeFallback.default.fee, // default fee-per-kb used in basic send
+    feePerByte: feePerByteOf(serverFeeFallback.default), // default fee rate (satoshi per virtual byte) used in basic send
+    feePerKb: serverFeeFallback.default.fee, // deprecated, feePerByte * 1000
     extraFeeConsumption: 0, // if there is change consumption to fee will be reflected here
-    sweepFee: 0,  // computed fee to sweep an account in basic send (depends on fee-per-kb)
-    sweepAmount: 0, // computed max spendable amount depending on fee-per-kb
+    sweepFee: 0,  // computed fee to sweep an account in basic send (depends on the fee rate)
+    sweepAmount: 0, // computed max spendable amount depending on the fee rate
     balance: 0, // sum of all unspents values with any filtering     [ payment.sumOfCoins ]
     finalFee: 0, // final absolute fee that it is going to be used no matter how was obtained (advanced or regular send)
     changeAmount: 0, // final change
     absoluteFeeBounds: [0, 0, 0, 0, 0, 0], // fee bounds (absolute) per fixed amount
-    sweepFees: [0, 0, 0, 0, 0, 0], // sweep absolute fee per each fee per kb (1, 2, 3, 4, 5, 6)
-    maxSpendableAmounts: [0, 0, 0, 0, 0, 0],  // max amount per each fee-per-kb
+    sweepFees: [0, 0, 0, 0, 0, 0], // sweep absolute fee per each estimated fee rate (1, 2, 3, 4, 5, 6)
+    maxSpendableAmounts: [0, 0, 0, 0, 0, 0],  // max amount per each estimated fee rate
     confEstimation: 'unknown',
+    data: null, // hex data of an OP_RETURN output (set by .to)
+    note: null, // note of the transaction, recorded in the wallet once published
+    recipients: null, // [{address, label, note}] of a batch payout, recorded once published
+    paymentRequest: null, // BIP 70 request being paid, the merchant is sent the transaction before it is published
+    paymentAck: null, // answer of the merchant to the payment: {memo} (set by publish)
+    broadcast: null, // backends that accepted and rejected the transaction: {accepted, rejected} (set by publish)
+    tracker: null, // TransactionTracker following the published transaction (set by track)
+    rejected: { to: [], amounts: [] }, // invalid values given to .to and .amount
+    preflight: null, // problems and warnings of the payment (set by preflight, refreshed by build once asked for)
+    preflightOptions: null, // options of the last preflight
+    rbf: false, // signal replace-by-fee (BIP 125) on the inputs
+    locktime: 0, // block height or unix timestamp the transaction is locked until (nLockTime), 0 for none
+    relativeLocktime: null, // relative lock of every input since its confirmation (BIP 68): {blocks} or {seconds}
+    coinSelection: 'largestFirst', // requested coin selection strategy
+    changePolicy: 'origin', // change of legacy spends: 'origin', 'account' (default HD account) or an address
+    pinnedOutpoints: [], // outpoints (txHash:index) that must be spent, empty for automatic selection
+    selectionStrategy: null, // strategy that produced selectedCoins (set by prebuild)
+    multisig: null, // multisig account spent from
+    partial: null, // partially signed multisig spend to pass to the other cosigners (set by sign)
+    missingSignatures: 0, // cosigner signatures still needed before publishing a multisig spend
+    psbt: null, // base64 PSBT (BIP 174) of the built transaction (set by exportPSBT)
+    unsigned: null, // unsigned transaction of a watch-only account and the paths of its keys (set by build)
     txSize: 0 // transaciton size
   };
 
@@ -78,7 +123,11 @@ function Payment (payment) {
   // payment.change         :: [bitcoin address]
   // payment.wifKeys        :: [WIF]
   // payment.fromAccountIdx :: Integer
+  // payment.fromAccounts   :: [Integer] accounts spent from together (with legacy addresses)
+  // payment.inputType      :: address type of the spent coins (null for legacy)
   // payment.fromWatchOnly  :: Boolean
+  // payment.replaces       :: txHash of the transaction being fee bumped
+  // payment.parent         :: txHash of the transaction accelerated by this child (CPFP)
   // payment.transaction    :: Transaction
 }
 util.inherits(Payment, EventEmitter);
@@ -101,6 +150,65 @@ Payment.prototype.fee = function (absoluteFee) {
   return this;
 };
 
+Payment.prototype.feePerByte = function (rate) {
+  this.payment = this.payment.then(Payment.feePerByte(rate));
+  this.then(Payment.prebuild());
+  return this;
+};
+
+// deprecated, fee rates are set per virtual byte (feePerByte)
+Payment.prototype.feePerKb = function (feePerKb) {
+  return this.feePerByte(feePerKb / 1000);
+};
+
+Payment.prototype.note = function (text) {
+  this.payment = this.payment.then(Payment.note(text));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.recipients = function (recipients) {
+  this.payment = this.payment.then(Payment.recipients(recipients));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.paymentRequest = function (request) {
+  this.payment = this.payment.then(Payment.paymentRequest(request));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.locktime = function (heightOrTimestamp) {
+  this.payment = this.payment.then(Payment.locktime(heightOrTimestamp));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.relativeLocktime = function (lock) {
+  this.payment = this.payment.then(Payment.relativeLocktime(lock));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.changePolicy = function (policy, absoluteFee) {
+  this.payment = this.payment.then(Payment.changePolicy(policy));
+  this.then(Payment.prebuild(absoluteFee));
+  return this;
+};
+
+Payment.prototype.coinSelection = function (strategy, absoluteFee) {
+  this.payment = this.payment.then(Payment.coinSelection(strategy));
+  this.then(Payment.prebuild(absoluteFee));
+  return this;
+};
+
+Payment.prototype.pin = function (outpoints, absoluteFee) {
+  this.payment = this.payment.then(Payment.pin(outpoints));
+  this.then(Payment.prebuild(absoluteFee));
+  return this;
+};
+
 Payment.prototype.amount = function (amounts, absoluteFee) {
   this.payment = this.payment.then(Payment.amount(amounts, absoluteFee));
   this.then(Payment.prebuild(absoluteFee));
@@ -142,14 +250,57 @@ Payment.prototype.prebuild = function (absoluteFee) {
   return this;
 };
 
-Payment.prototype.build = function () {
-  this.payment = this.payment.then(Payment.build.bind(this)());
+Payment.prototype.bumpFee = function (txHash, absoluteFee) {
+  this.payment = this.payment.then(Payment.bumpFee(txHash, absoluteFee));
   this.sideEffect(this.emit.bind(this, 'update'));
   return this;
 };
 
-Payment.prototype.sign = function (password) {
-  this.payment = this.payment.then(Payment.sign(password));
+// feePerByte :: satoshi per virtual byte
+Payment.prototype.cpfp = function (tx, feePerByte) {
+  this.payment = this.payment.then(Payment.cpfp(tx, feePerByte));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.preflight = function (options) {
+  this.payment = this.payment.then(Payment.preflight.bind(this)(options));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.build = function (rbf) {
+  this.payment = this.payment.then(function (payment) {
+    // the preflight report is opt-in, build keeps a requested one up to date
+    return payment.preflightOptions ? Payment.preflight.bind(this)(payment.preflightOptions)(payment) : payment;
+  }.bind(this));
+  this.payment = this.payment.then(Payment.build.bind(this)(rbf));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.importPartial = function (partial) {
+  this.payment = this.payment.then(Payment.importPartial.bind(this)(partial));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+// password :: second password, the key origin of HD accounts comes from the seed
+Payment.prototype.exportPSBT = function (password) {
+  this.payment = this.payment.then(Payment.exportPSBT(password));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+Payment.prototype.importPSBT = function (psbt) {
+  this.payment = this.payment.then(Payment.importPSBT(psbt));
+  this.sideEffect(this.emit.bind(this, 'update'));
+  return this;
+};
+
+// signer :: external signer (see signer.js), the wallet keys are used when omitted
+Payment.prototype.sign = function (password, signer) {
+  this.payment = this.payment.then(Payment.sign(password, signer));
   this.sideEffect(this.emit.bind(this, 'update'));
   return this;
 };
@@ -160,12 +311,56 @@ Payment.prototype.publish = function () {
   return this;
 };
 
+// follows the published transaction, the events of the tracker are emitted by the payment
+Payment.prototype.track = function (options) {
+  this.payment = this.payment.then(Payment.track.bind(this)(options));
+  return this;
+};
+
 Payment.prototype.printJSON = function () {
   var printJSON = function (p) { console.log(JSON.stringify(p, null, 2)); };
   this.sideEffect(printJSON);
   return this;
 };
 
+// resumable state of a payment, up to a built but unsigned transaction
+// toJSON :: payment -> Object
+// e.g. payment.sideEffect(function (p) { save(JSON.stringify(Payment.toJSON(p))); })
+Payment.toJSON = function (payment) {
+  var json = { version: JSON_VERSION };
+  JSON_FIELDS.forEach(function (k) { json[k] = payment[k]; });
+  json.multisig = payment.multisig ? payment.multisig.index : null;
+  json.transaction = payment.transaction instanceof Transaction ? payment.transaction.toJSON() : null;
+  json.paymentRequest = payment.paymentRequest ? payment.paymentRequest.raw.toString('base64') : null;
+  return json;
+};
+
+// a payment resumed from Payment.toJSON, ready to be (re)built or signed
+// fromJSON :: Object -> Payment
+Payment.fromJSON = function (json) {
+  var payment = new Payment();
+  payment.payment = payment.payment.then(restore(json, payment));
+  payment.sideEffect(payment.emit.bind(payment, 'update'));
+  return payment;
+};
+
+// track :: {confirmations, rebroadcastTimeout, rebroadcasts} -> payment -> Promise payment
+Payment.track = function (options) {
+  var emitter = this;
+  return function (payment) {
+    if (!payment.txid) return Promise.reject({ error: 'TX_NOT_PUBLISHED' });
+    if (payment.tracker) payment.tracker.stop();
+    payment.tracker = TransactionTracker.fromPayment(payment, options);
+    if (emitter instanceof EventEmitter) {
+      TransactionTracker.EVENTS.forEach(function (event) {
+        payment.tracker.on(event, emitter.emit.bind(emitter, event));
+      });
+    }
+    payment.tracker.start();
+    return Promise.resolve(payment);
+  };
+};
+
 Payment.return = function (payment) {
   var p = payment ? payment : {};
   return Promise.resolve(p);
@@ -179,8 +374,18 @@ Payment.sideEffect = function (myFunction) {
   };
 };
 
+// destinations :: address || account index || {data: hex || Buffer} || [...]
+// a single data output (OP_RETURN) of up to 80 bytes can go along the payees
 Payment.to = function (destinations) {
   var formatDest = null;
+  var isDataOutput = function (d) {
+    return d instanceof Object && !Array.isArray(d) && d.data != null;
+  };
+  var dataOutputs = Helpers.toArrayFormat(destinations).filter(isDataOutput);
+  var data = dataOutputs.length > 0 ? dataHexOf(dataOutputs[0].data) : null;
+  if (dataOutputs.length > 0) {
+    destinations = Helpers.toArrayFormat(destinations).filter(function (d) { return !isDataOutput(d); });
+  }
   var isValidIndex = function (i) {
     return Helpers.isPositiveInteger(i) && MyWallet.wallet.isUpgradedToHD && (i < MyWallet.wallet.hdwallet.accounts.length);
   };
@@ -206,11 +411,27 @@ Payment.to = function (destinations) {
          destinations.every(Helpers.o(Helpers.isBitcoinAddress, isValidIndex)):
       formatDest = destinations.map(accountToAddress);
       break;
+    // a data output only
+    case dataOutputs.length > 0 && destinations.length === 0:
+      formatDest = [];
+      break;
     default:
       console.log('No destination set.');
   } // fi switch
+  var rejected = formatDest === null
+    ? Helpers.toArrayFormat(destinations).filter(function (d) { return d != null && !Helpers.isBitcoinAddress(d) && !isValidIndex(d); })
+    : [];
+  // relay policy allows a single data output
+  if (dataOutputs.length > 1 || (dataOutputs.length > 0 && data === null)) {
+    console.log('Invalid data output.');
+    rejected = rejected.concat(dataOutputs);
+    formatDest = null;
+    data = null;
+  }
   return function (payment) {
     payment.to = formatDest;
+    payment.data = formatDest === null ? null : data;
+    payment.rejected = { to: rejected, amounts: payment.rejected ? payment.rejected.amounts : [] };
     return Promise.resolve(payment);
   };
 };
@@ -243,8 +464,126 @@ Payment.amount = function (amounts, absoluteFee) {
     default:
       console.log('No amounts set.');
   } // fi switch
+  var rejected = formatAmo === null
+    ? Helpers.toArrayFormat(amounts).filter(function (a) { return a != null && !Helpers.isPositiveNumber(a); })
+    : [];
   return function (payment) {
     payment.amounts = formatAmo;
+    payment.rejected = { to: payment.rejected ? payment.rejected.to : [], amounts: rejected };
+    return Promise.resolve(payment);
+  };
+};
+
+// rate :: satoshi per virtual byte
+Payment.feePerByte = function (rate) {
+  var valid = Helpers.isPositiveNumber(rate);
+  if (!valid) console.log('No fee rate set.');
+  return function (payment) {
+    if (valid) setFeePerByte(payment, rate);
+    return Promise.resolve(payment);
+  };
+};
+
+// text :: String || null (no note)
+Payment.note = function (text) {
+  var valid = text === null || (Helpers.isString(text) && text.length > 0);
+  if (!valid) console.log('No note set.');
+  return function (payment) {
+    if (valid) payment.note = text;
+    return Promise.resolve(payment);
+  };
+};
+
+// the label and note of every recipient of a batch payout
+// recipients :: [{address, label, note}] || null
+Payment.recipients = function (recipients) {
+  var valid = recipients === null || (Array.isArray(recipients) &&
+    recipients.every(function (r) { return r instanceof Object && Helpers.isBitcoinAddress(r.address); }));
+  if (!valid) console.log('No recipients set.');
+  return function (payment) {
+    if (valid) payment.recipients = recipients;
+    return Promise.resolve(payment);
+  };
+};
+
+// a verified BIP 70 request (see payment-request.js), null for none
+Payment.paymentRequest = function (request) {
+  var valid = request === null || (request instanceof Object && request.details instanceof Object && Buffer.isBuffer(request.raw));
+  if (!valid) console.log('No payment request set.');
+  return function (payment) {
+    if (valid) payment.paymentRequest = request;
+    return Promise.resolve(payment);
+  };
+};
+
+// post-dated payments: the transaction can't be mined before the block
+// height or unix timestamp, which has to be ahead of wallet.latestBlock.
+// 0 removes the lock.
+Payment.locktime = function (heightOrTimestamp) {
+  return function (payment) {
+    var lock = heightOrTimestamp;
+    if (!Helpers.isPositiveInteger(lock) || lock > 0xffffffff) {
+      return Promise.reject({ error: 'INVALID_LOCKTIME', locktime: lock });
+    }
+    var block = MyWallet.wallet.latestBlock;
+    if (lock > 0 && isLocktimeReached(lock, block)) {
+      return Promise.reject({ error: 'LOCKTIME_IN_PAST', locktime: lock, height: block.height, time: block.time });
+    }
+    payment.locktime = lock;
+    return Promise.resolve(payment);
+  };
+};
+
+// lock :: {blocks: Integer} || {seconds: Integer} || null
+// every input is locked for the blocks or seconds since it got confirmed
+Payment.relativeLocktime = function (lock) {
+  return function (payment) {
+    var max = Transaction.SEQUENCE_LOCKTIME_MASK;
+    var isValid = lock === null ||
+      (lock instanceof Object && Helpers.isPositiveInteger(lock.blocks) && lock.blocks > 0 && lock.blocks <= max) ||
+      (lock instanceof Object && lock.blocks == null && Helpers.isPositiveInteger(lock.seconds) && lock.seconds > 0 &&
+       lock.seconds <= max * Transaction.SEQUENCE_LOCKTIME_GRANULARITY);
+    if (!isValid) return Promise.reject({ error: 'INVALID_RELATIVE_LOCKTIME', lock: lock });
+    payment.relativeLocktime = lock;
+    return Promise.resolve(payment);
+  };
+};
+
+Payment.coinSelection = function (strategy) {
+  var valid = CoinSelection.isValid(strategy);
+  if (!valid) console.log('Unknown coin selection strategy.');
+  return function (payment) {
+    if (valid) payment.coinSelection = strategy;
+    return Promise.resolve(payment);
+  };
+};
+
+// where the change of a spend from legacy addresses goes: 'origin' (the first
+// spent address, but the default HD account for swept private keys), 'account'
+// (the next change address of the default HD account) or a given bitcoin
+// address. Accounts always use their own change.
+Payment.changePolicy = function (policy) {
+  var valid = policy === 'origin' || Helpers.isBitcoinAddress(policy) ||
+    (policy === 'account' && MyWallet.wallet.isUpgradedToHD);
+  if (!valid) console.log('No change policy set.');
+  return function (payment) {
+    if (valid) payment.changePolicy = policy;
+    if (isLegacyOrigin(payment)) payment.change = legacyChangeOf(payment);
+    return Promise.resolve(payment);
+  };
+};
+
+// outpoints :: [txHash:index || {hash, index}]
+Payment.pin = function (outpoints) {
+  var formatOut = Helpers.toArrayFormat(outpoints || []).map(function (o) {
+    return Helpers.isOutpoint(o) ? o : o && outpointOf(o);
+  });
+  if (!formatOut.every(Helpers.isOutpoint)) {
+    console.log('No outpoints pinned.');
+    formatOut = [];
+  }
+  return function (payment) {
+    payment.pinnedOutpoints = formatOut;
     return Promise.resolve(payment);
   };
 };
@@ -256,7 +595,11 @@ Payment.from = function (origin) {
   var pkFormat = Helpers.detectPrivateKeyFormat(origin);
   var wifs = []; // only used fromPrivateKey
   var fromAccId = null;
+  var fromAccounts = null;
+  var inputType = null;
   var watchOnly = false;
+  var multisig = null;
+  var sweepKeys = null;
 
   switch (true) {
     // no origin => assume origin = all the legacy addresses (non - watchOnly)
@@ -276,6 +619,26 @@ Payment.from = function (origin) {
       addresses = [fromAccount.extendedPublicKey];
       change = fromAccount.changeAddress;
       fromAccId = origin;
+      inputType = fromAccount.type;
+      break;
+    // multisig account (coins are looked up on its derived addresses)
+    case origin instanceof MultisigAccount:
+      multisig = origin;
+      addresses = origin.addresses;
+      change = origin.changeAddress;
+      inputType = origin.inputType;
+      break;
+    // several accounts, possibly with legacy addresses, spent together
+    case Array.isArray(origin) &&
+         origin.some(isSpendableAccountIndex) &&
+         origin.every(function (o) { return isSpendableAccountIndex(o) || Helpers.isBitcoinAddress(o); }):
+      var unique = origin.filter(function (o, i) { return origin.indexOf(o) === i; });
+      fromAccounts = unique.filter(isSpendableAccountIndex);
+      var accounts = fromAccounts.map(function (i) { return MyWallet.wallet.hdwallet.accounts[i]; });
+      addresses = accounts.map(function (a) { return a.extendedPublicKey; })
+        .concat(unique.filter(Helpers.isBitcoinAddress));
+      change = accounts[0].changeAddress;
+      inputType = accounts[0].type;
       break;
     // multiple legacy addresses
     case Array.isArray(origin) &&
@@ -284,6 +647,12 @@ Payment.from = function (origin) {
       addresses = origin;
       change = addresses[0];
       break;
+    // many private keys (paper wallets) swept together, BIP38 as {priv, bipPass}
+    case Array.isArray(origin) &&
+         origin.length > 0 &&
+         origin.every(isPrivateKeyEntry):
+      sweepKeys = origin;
+      break;
     // from PrivateKey
     case (pkFormat !== null):
       var key = Helpers.privateKeyStringToKey(origin, pkFormat);
@@ -316,14 +685,8 @@ Payment.from = function (origin) {
     default:
       console.log('No origin set.');
   } // fi switch
-  return function (payment) {
-    payment.from = addresses;
-    payment.change = change;
-    payment.wifKeys = wifs;
-    payment.fromAccountIdx = fromAccId;
-    payment.fromWatchOnly = watchOnly;
-
-    return getUnspentCoins(addresses, function onNotice (notice) {
+  var fetchUnspent = function (payment) {
+    return getUnspentCoins(payment.from, function onNotice (notice) {
       that.emit('message', { text: notice });
     }).then(
       function (coins) {
@@ -342,6 +705,69 @@ Payment.from = function (origin) {
       }
     );
   };
+  return function (payment) {
+    if (sweepKeys) {
+      return keyPairsOf(sweepKeys).then(function (keyPairs) {
+        var sweep = sweepOriginOf(keyPairs);
+        payment.from = sweep.addresses;
+        payment.wifKeys = sweep.wifs;
+        payment.fromAccountIdx = null;
+        payment.fromAccounts = null;
+        payment.inputType = null;
+        payment.fromWatchOnly = false;
+        payment.multisig = null;
+        payment.change = legacyChangeOf(payment);
+        return fetchUnspent(payment);
+      });
+    }
+    payment.from = addresses;
+    payment.change = change;
+    payment.wifKeys = wifs;
+    payment.fromAccountIdx = fromAccId;
+    payment.fromAccounts = fromAccounts;
+    payment.inputType = inputType;
+    payment.fromWatchOnly = watchOnly;
+    payment.multisig = multisig;
+    if (isLegacyOrigin(payment)) payment.change = legacyChangeOf(payment);
+    return fetchUnspent(payment);
+  };
+};
+
+// listUnspent :: account index || address || [address] || null -> Promise [coins]
+// every coin is annotated with its outpoint, address and frozen status
+Payment.listUnspent = function (origin) {
+  var addresses;
+  switch (true) {
+    case origin === null || origin === undefined || origin === '':
+      addresses = MyWallet.wallet.spendableActiveAddresses;
+      break;
+    case Helpers.isBitcoinAddress(origin):
+      addresses = [origin];
+      break;
+    case Helpers.isPositiveInteger(origin) &&
+         (origin < MyWallet.wallet.hdwallet.accounts.length):
+      addresses = [MyWallet.wallet.hdwallet.accounts[origin].extendedPublicKey];
+      break;
+    case Array.isArray(origin) &&
+         origin.length > 0 &&
+         origin.every(Helpers.isBitcoinAddress):
+      addresses = origin;
+      break;
+    default:
+      return Promise.reject('Unknown origin');
+  }
+  var annotate = function (coin) {
+    coin.outpoint = outpointOf(coin);
+    coin.address = addressOfScript(coin.script);
+    coin.frozen = MyWallet.wallet.isFrozenOutpoint(coin.outpoint);
+    return coin;
+  };
+  return getUnspentCoins(addresses, function () {})
+    .then(function (coins) { return coins.map(annotate); })
+    .catch(function (error) {
+      if (error === 'No free outputs to spend') return [];
+      throw error;
+    });
 };
 
 Payment.updateFees = function () {
@@ -349,7 +775,7 @@ Payment.updateFees = function () {
     return API.getFees().then(
           function (fees) {
             payment.fees = fees;
-            payment.feePerKb = fees.default.fee;
+            setFeePerByte(payment, feePerByteOf(fees.default));
             return payment;
           }
         ).catch(
@@ -364,35 +790,50 @@ Payment.updateFees = function () {
 
 Payment.prebuild = function (absoluteFee) {
   return function (payment) {
-    var dust = Bitcoin.networks.bitcoin.dustThreshold;
+    var dust = Transaction.DUST_THRESHOLD;
 
-    var usableCoins = Transaction.filterUsableCoins(payment.coins, payment.feePerKb);
-    var max = Transaction.maxAvailableAmount(usableCoins, payment.feePerKb);
+    var inputType = payment.inputType;
+    // frozen coins are never spent, pinned coins are spent all together
+    var coins = spendableCoins(payment);
+    var pinned = Array.isArray(payment.pinnedOutpoints) && payment.pinnedOutpoints.length > 0;
+    var strategy = pinned ? 'manual' : payment.coinSelection;
+    var usable = function (feePerKb) {
+      return pinned ? coins : Transaction.filterUsableCoins(coins, feePerKb, inputType);
+    };
+    // outputs are sized by their script type, destinations not yet known as P2PKH
+    var to = Array.isArray(payment.to) ? payment.to : [];
+    var dataOutputs = payment.data != null ? [{ data: payment.data }] : [];
+    var sweepOutputs = [to[0]].concat(dataOutputs, [payment.change]);
+    var feePerKb = feePerKbOf(payment.feePerByte);
+    var usableCoins = usable(feePerKb);
+    var max = Transaction.maxAvailableAmount(usableCoins, feePerKb, inputType, sweepOutputs);
     payment.sweepAmount = max.amount;
     payment.sweepFee = max.fee;
-    payment.balance = Transaction.sumOfCoins(payment.coins);
+    payment.balance = Transaction.sumOfCoins(coins);
 
-    // compute max spendable limits per each fee-per-kb
-    var maxSpendablesPerFeePerKb = function (e) {
-      var c = Transaction.filterUsableCoins(payment.coins, e.fee);
-      var s = Transaction.maxAvailableAmount(c, e.fee);
+    // compute max spendable limits per each estimated fee rate
+    var maxSpendablesPerFeeRate = function (e) {
+      var c = usable(e.fee);
+      var s = Transaction.maxAvailableAmount(c, e.fee, inputType, sweepOutputs);
       return s.amount;
     };
-    payment.maxSpendableAmounts = payment.fees.estimate.map(maxSpendablesPerFeePerKb);
+    payment.maxSpendableAmounts = payment.fees.estimate.map(maxSpendablesPerFeeRate);
     payment.sweepFees = payment.maxSpendableAmounts.map(function (v) { return payment.balance - v; });
 
     // if amounts defined refresh computations
-    if (Array.isArray(payment.amounts) && payment.amounts.length > 0) {
+    if (Array.isArray(payment.amounts) && (payment.amounts.length > 0 || dataOutputs.length > 0)) {
       // coin selection
       var s;
+      var outputs = payment.amounts.map(function (a, i) { return to[i]; }).concat(dataOutputs, [payment.change]);
       if (Helpers.isPositiveNumber(absoluteFee)) {
-        s = Transaction.selectCoins(payment.coins, payment.amounts, absoluteFee, true);
+        s = Transaction.selectCoins(coins, payment.amounts, absoluteFee, true, inputType, strategy, outputs);
       } else {
-        s = Transaction.selectCoins(usableCoins, payment.amounts, payment.feePerKb, false);
+        s = Transaction.selectCoins(usableCoins, payment.amounts, feePerKb, false, inputType, strategy, outputs);
       }
       payment.finalFee = s.fee;
       payment.selectedCoins = s.coins;
-      payment.txSize = Transaction.guessSize(payment.selectedCoins.length, payment.amounts.length + 1);
+      payment.selectionStrategy = s.strategy;
+      payment.txSize = Transaction.guessSize(Transaction.inputTypesOf(payment.selectedCoins, inputType), outputs, inputType);
       var c = Transaction.sumOfCoins(payment.selectedCoins) - payment.amounts.reduce(Helpers.add, 0) - payment.finalFee;
       payment.changeAmount = c > 0 ? c : 0;
 
@@ -406,8 +847,7 @@ Payment.prebuild = function (absoluteFee) {
 
       // compute absolute fee bounds for 1,2,3,4,5,6 block confirmations
       var toAbsoluteFee = function (e) {
-        var c = Transaction.filterUsableCoins(payment.coins, e.fee);
-        var s = Transaction.selectCoins(c, payment.amounts, e.fee, false);
+        var s = Transaction.selectCoins(usable(e.fee), payment.amounts, e.fee, false, inputType, strategy, outputs);
         return s.fee;
       };
       payment.absoluteFeeBounds = payment.fees.estimate.map(toAbsoluteFee);
@@ -420,10 +860,12 @@ Payment.prebuild = function (absoluteFee) {
   };
 };
 
-Payment.build = function () {
+Payment.build = function (rbf) {
   return function (payment) {
+    if (Helpers.isBoolean(rbf)) payment.rbf = rbf;
     try {
       payment.transaction = new Transaction(payment, this);
+      payment.unsigned = isWatchOnlyAccount(payment) ? unsignedOf(payment.transaction) : null;
       return Promise.resolve(payment);
     } catch (e) {
       return Promise.reject({ error: e, payment: payment });
@@ -431,27 +873,338 @@ Payment.build = function () {
   }.bind(this);
 };
 
-Payment.sign = function (password) {
+// Preflight report of the payment, emitted as 'preflight':
+//   {ok, errors: [{error: CODE, ...}], warnings: [{warning: CODE, ...}]}
+// errors: INVALID_DESTINATION, NO_DESTINATION, INVALID_AMOUNT, NO_AMOUNT,
+//   AMOUNTS_MISMATCH, BELOW_DUST_THRESHOLD, NO_ORIGIN, INSUFFICIENT_FUNDS
+// warnings: HIGH_FEE (above options.maxFeePercent of the amount, 10% by
+//   default), SEND_TO_CHANGE, ADDRESS_REUSE
+// The report is opt-in: once a payment asked for it, every build emits it
+// again before building. ADDRESS_REUSE is best-effort, it only knows the
+// transactions loaded in txList and the totals of legacy addresses.
+Payment.preflight = function (options) {
+  var maxFeePercent = options && Helpers.isPositiveNumber(options.maxFeePercent)
+    ? options.maxFeePercent : FEE_WARNING_PERCENT;
   return function (payment) {
+    var errors = [];
+    var warnings = [];
+    var rejected = payment.rejected || { to: [], amounts: [] };
+    var to = Array.isArray(payment.to) ? payment.to : [];
+    var amounts = Array.isArray(payment.amounts) ? payment.amounts : [];
+    var amount = amounts.reduce(Helpers.add, 0);
+    var hasData = payment.data != null;
+
+    rejected.to.forEach(function (d) { errors.push({ error: 'INVALID_DESTINATION', value: d }); });
+    if (to.length === 0 && !hasData && rejected.to.length === 0) errors.push({ error: 'NO_DESTINATION' });
+    rejected.amounts.forEach(function (a) { errors.push({ error: 'INVALID_AMOUNT', value: a }); });
+    if (amounts.length === 0 && to.length > 0 && rejected.amounts.length === 0) errors.push({ error: 'NO_AMOUNT' });
+    if (to.length > 0 && amounts.length > 0 && to.length !== amounts.length) {
+      errors.push({ error: 'AMOUNTS_MISMATCH', destinations: to.length, amounts: amounts.length });
+    }
+    amounts.forEach(function (a, i) {
+      if (a < Transaction.DUST_THRESHOLD) {
+        errors.push({ error: 'BELOW_DUST_THRESHOLD', index: i, amount: a, threshold: Transaction.DUST_THRESHOLD });
+      }
+    });
+    if (!payment.from || payment.from.length === 0) {
+      errors.push({ error: 'NO_ORIGIN' });
+    } else if ((amounts.length > 0 || hasData) && payment.selectedCoins.length === 0) {
+      errors.push({ error: 'INSUFFICIENT_FUNDS', amount: amount, available: Math.max(payment.sweepAmount, 0) });
+    }
+
+    if (amount > 0 && payment.selectedCoins.length > 0 && payment.finalFee * 100 > amount * maxFeePercent) {
+      warnings.push({ warning: 'HIGH_FEE', fee: payment.finalFee, amount: amount, threshold: maxFeePercent });
+    }
+    to.forEach(function (address, i) {
+      if (address === payment.change) {
+        warnings.push({ warning: 'SEND_TO_CHANGE', index: i, address: address });
+      } else if (isUsedAddress(address)) {
+        warnings.push({ warning: 'ADDRESS_REUSE', index: i, address: address });
+      }
+    });
+
+    payment.preflight = { ok: errors.length === 0, errors: errors, warnings: warnings };
+    payment.preflightOptions = { maxFeePercent: maxFeePercent };
+    if (this instanceof EventEmitter) this.emit('preflight', payment.preflight);
+    return Promise.resolve(payment);
+  }.bind(this);
+};
+
+// replaces an unconfirmed outgoing transaction of txList with one paying a
+// higher fee. The inputs and destinations are kept, the fee comes out of the change.
+Payment.bumpFee = function (txHash, absoluteFee) {
+  return function (payment) {
+    var tx = MyWallet.wallet.txList.transaction(txHash);
+    if (!tx) return Promise.reject({ error: 'TX_NOT_FOUND', tx_hash: txHash });
+    if (tx.confirmations > 0) return Promise.reject({ error: 'TX_ALREADY_CONFIRMED', tx_hash: txHash });
+    var sequences = tx.inputs.map(function (i) { return i.sequence; });
+    if (!Transaction.signalsRBF(sequences)) return Promise.reject({ error: 'TX_NOT_REPLACEABLE', tx_hash: txHash });
+
+    var ins = tx.processedInputs;
+    var isExternal = function (coin) { return coin.coinType === 'external'; };
+    if (ins.some(isExternal)) return Promise.reject({ error: 'TX_HAS_EXTERNAL_INPUTS', tx_hash: txHash });
+    var identity = ins[0].identity;
+    if (!ins.every(function (i) { return i.identity === identity; })) {
+      return Promise.reject({ error: 'TX_HAS_MIXED_INPUTS', tx_hash: txHash });
+    }
+    var inputAddresses = ins.map(function (i) { return i.address; });
+    var isChange = function (o) {
+      return o.change === true || (o.coinType === 'legacy' && inputAddresses.indexOf(o.address) > -1);
+    };
+    var change = tx.processedOutputs.filter(isChange)[0];
+    if (!change) return Promise.reject({ error: 'TX_HAS_NO_CHANGE', tx_hash: txHash });
+    var destinations = tx.processedOutputs.filter(function (o) { return o !== change; });
+
+    var fromAccount = Helpers.isPositiveInteger(identity) ? MyWallet.wallet.hdwallet.accounts[identity] : null;
+    var inputType = fromAccount ? fromAccount.type : null;
+    var outputs = destinations.concat([change]).map(function (o) { return o.address; });
+    var minimumFee = tx.fee + Transaction.guessFee(ins.length, outputs, Transaction.INCREMENTAL_FEE_PER_KB, inputType);
+    var fee;
+    if (Helpers.isPositiveNumber(absoluteFee)) {
+      if (absoluteFee < minimumFee) return Promise.reject({ error: 'FEE_TOO_LOW', fee: absoluteFee, minimum: minimumFee });
+      fee = absoluteFee;
+    } else {
+      fee = Math.max(minimumFee, Transaction.guessFee(ins.length, outputs, feePerKbOf(payment.feePerByte), inputType));
+    }
+    var changeAmount = change.amount - (fee - tx.fee);
+    if (changeAmount < 0) return Promise.reject({ error: 'INSUFFICIENT_CHANGE', fee: fee, change: change.amount });
+
+    var toCoins = function (hex) {
+      var raw = Bitcoin.Transaction.fromHex(hex);
+      return raw.ins.map(function (input, i) {
+        var prevOut = tx.inputs[i].prev_out;
+        return {
+          hash: [].reverse.call(new Buffer(input.hash)).toString('hex'),
+          index: input.index,
+          script: prevOut.script,
+          value: prevOut.value,
+          xpub: prevOut.xpub
+        };
+      });
+    };
+
+    return API.getRawTx(txHash).then(toCoins).then(function (coins) {
+      payment.from = fromAccount ? [fromAccount.extendedPublicKey] : inputAddresses;
+      payment.change = change.address;
+      payment.wifKeys = [];
+      payment.fromAccountIdx = fromAccount ? identity : null;
+      payment.fromAccounts = null;
+      payment.inputType = inputType;
+      payment.fromWatchOnly = false;
+      payment.coins = coins;
+      payment.selectedCoins = coins;
+      payment.balance = Transaction.sumOfCoins(coins);
+      payment.to = destinations.map(function (o) { return o.address; });
+      payment.amounts = destinations.map(function (o) { return o.amount; });
+      payment.finalFee = fee;
+      // change consumption
+      if (changeAmount < Transaction.DUST_THRESHOLD) {
+        payment.extraFeeConsumption = changeAmount;
+        payment.changeAmount = 0;
+      } else {
+        payment.extraFeeConsumption = 0;
+        payment.changeAmount = changeAmount;
+      }
+      payment.txSize = Transaction.guessSize(coins.length, outputs, inputType);
+      payment.rbf = true;
+      payment.replaces = txHash;
+      return payment;
+    });
+  };
+};
+
+// child-pays-for-parent: spends our output of an unconfirmed incoming
+// transaction back to the wallet paying enough fee for both transactions to
+// reach the target fee rate in satoshi per virtual byte (the fastest estimate
+// by default)
+Payment.cpfp = function (txOrHash, feePerByte) {
+  return function (payment) {
+    var tx = Helpers.isString(txOrHash) ? MyWallet.wallet.txList.transaction(txOrHash) : txOrHash;
+    if (!tx) return Promise.reject({ error: 'TX_NOT_FOUND', tx_hash: txOrHash });
+    if (tx.confirmations > 0) return Promise.reject({ error: 'TX_ALREADY_CONFIRMED', tx_hash: tx.hash });
+
+    var isSpendable = function (o) { return o.coinType !== 'external' && !o.isWatchOnly; };
+    var n = tx.processedOutputs.map(isSpendable).indexOf(true);
+    if (n < 0) return Promise.reject({ error: 'TX_HAS_NO_WALLET_OUTPUT', tx_hash: tx.hash });
+    var owned = tx.processedOutputs[n];
+    var out = tx.out[n];
+
+    var fromAccount = Helpers.isPositiveInteger(owned.identity) ? MyWallet.wallet.hdwallet.accounts[owned.identity] : null;
+    var inputType = fromAccount ? fromAccount.type : null;
+    var destination = fromAccount ? fromAccount.changeAddress : owned.address;
+
+    // the Transaction helpers take fee-per-kb rates
+    var rate = Helpers.isPositiveNumber(feePerByte) ? feePerKbOf(feePerByte) : payment.fees.estimate[0].fee;
+    var childSize = Transaction.guessSize(1, [destination], inputType);
+    // fee rates are per virtual byte, segwit parents weigh less than their size
+    var parentSize = tx.weight ? Math.ceil(tx.weight / 4) : tx.size;
+    var packageFee = Math.ceil(rate * (parentSize + childSize) / 1000);
+    var fee = Math.max(packageFee - tx.fee, Transaction.guessFee(1, [destination], rate, inputType));
+    var amount = owned.amount - fee;
+    if (amount < Transaction.DUST_THRESHOLD) {
+      return Promise.reject({ error: 'CPFP_OUTPUT_TOO_SMALL', amount: owned.amount, fee: fee });
+    }
+
+    var coin = {
+      hash: tx.hash,
+      index: out.n,
+      script: out.script,
+      value: out.value,
+      xpub: out.xpub
+    };
+    payment.from = fromAccount ? [fromAccount.extendedPublicKey] : [owned.address];
+    payment.change = destination;
+    payment.wifKeys = [];
+    payment.fromAccountIdx = fromAccount ? owned.identity : null;
+    payment.fromAccounts = null;
+    payment.inputType = inputType;
+    payment.fromWatchOnly = false;
+    payment.coins = [coin];
+    payment.selectedCoins = [coin];
+    payment.balance = coin.value;
+    payment.to = [destination];
+    payment.amounts = [amount];
+    payment.finalFee = fee;
+    payment.changeAmount = 0;
+    payment.extraFeeConsumption = 0;
+    payment.txSize = childSize;
+    payment.parent = tx.hash;
+    return Promise.resolve(payment);
+  };
+};
+
+// loads a spend partially signed by other cosigners of the multisig account
+// set with Payment.from, so that it can be signed and published
+Payment.importPartial = function (partial) {
+  return function (payment) {
+    if (!payment.multisig) {
+      return Promise.reject({ error: 'NOT_A_MULTISIG_PAYMENT' });
+    }
+    try {
+      payment.transaction = Transaction.fromPartial(partial, payment.multisig, this);
+    } catch (e) {
+      return Promise.reject({ error: e, payment: payment });
+    }
+    payment.partial = partial;
+    payment.missingSignatures = payment.transaction.missingSignatures();
+    return Promise.resolve(payment);
+  }.bind(this);
+};
+
+// serializes the built transaction as a PSBT (BIP 174) to be signed offline.
+// The account extended public keys are listed as the global xpubs of the PSBT.
+// Derivations start at the master key of the wallet seed (HD accounts) or of
+// every cosigner of known origin, the others at the account extended public key.
+Payment.exportPSBT = function (password) {
+  return function (payment) {
+    if (!(payment.transaction instanceof Transaction)) {
+      return Promise.reject({ error: 'TX_NOT_BUILT' });
+    }
+    var transaction = payment.transaction;
+    transaction.sortBIP69();
+    var tx = transaction.transaction.tx.clone();
+    var psbt = new Psbt(tx);
+    var originOf = accountOriginOf(password);
+    psbt.xpubs = accountXpubsOf(payment, originOf);
+
+    var addInput = function (input, i) {
+      var address = transaction.addressesOfInputs[i];
+      var script = Bitcoin.address.toOutputScript(address);
+      var keyInfo = inputKeyInfoOf(payment, tx, i, originOf);
+      input.bip32Derivation = keyInfo.bip32Derivation || [];
+      input.redeemScript = keyInfo.redeemScript;
+      input.witnessScript = keyInfo.witnessScript;
+      if (isWitnessScript(script, keyInfo.redeemScript)) {
+        input.witnessUtxo = { script: script, value: transaction.valuesOfInputs[i] };
+        return Promise.resolve();
+      }
+      // legacy inputs commit to the whole previous transaction
+      var txHash = new Buffer(tx.ins[i].hash);
+      Array.prototype.reverse.call(txHash);
+      return API.getRawTx(txHash.toString('hex')).then(function (hex) {
+        input.nonWitnessUtxo = new Buffer(hex, 'hex');
+      });
+    };
+
+    // the change output, so that the signer can check it
+    tx.outs.forEach(function (out, i) {
+      var keyInfo = changeKeyInfoOf(payment, out.script, originOf);
+      if (keyInfo === null) return;
+      psbt.outputs[i].bip32Derivation = keyInfo.bip32Derivation;
+      psbt.outputs[i].redeemScript = keyInfo.redeemScript;
+      psbt.outputs[i].witnessScript = keyInfo.witnessScript;
+    });
+
+    return Promise.all(psbt.inputs.map(addInput)).then(function () {
+      payment.psbt = psbt.toBase64();
+      return payment;
+    });
+  };
+};
+
+// loads a PSBT signed offline (base64), the signatures are checked and the
+// transaction is finalized, ready to be published
+Payment.importPSBT = function (psbtBase64) {
+  return function (payment) {
+    var psbt;
+    try {
+      psbt = Psbt.fromBase64(psbtBase64);
+    } catch (e) {
+      return Promise.reject({ error: 'INVALID_PSBT' });
+    }
+    if (payment.psbt && Psbt.fromBase64(payment.psbt).tx.getId() !== psbt.tx.getId()) {
+      return Promise.reject({ error: 'PSBT_MISMATCH' });
+    }
+    var result = psbt.finalize();
+    if (result.error) {
+      return Promise.reject(result);
+    }
+    payment.psbt = psbtBase64;
+    payment.transaction = result.transaction;
+    return Promise.resolve(payment);
+  };
+};
+
+Payment.sign = function (password, signer) {
+  return function (payment) {
+    if (signer) return signWith(signer, payment);
+
+    // the swept addresses (the ones with coins) are kept in the wallet, archived
     var importWIF = function (WIF) {
       MyWallet.wallet.importLegacyAddress(WIF, 'Redeemed code.', password)
-        .then(function (A) { A.archived = true; });
+        .then(function (A) { A.archived = true; })
+        .catch(function (e) { console.log('Could not import a swept address', e); });
     };
 
     if (!payment.transaction) throw 'This transaction hasn\'t been built yet';
-    if (Array.isArray(payment.wifKeys) && !payment.fromWatchOnly) payment.wifKeys.forEach(importWIF);
+    if (payment.multisig && payment.multisig.isWatchOnly) {
+      return Promise.reject({ error: 'WATCH_ONLY_MULTISIG' });
+    }
+    // the unsigned transaction (payment.unsigned) has to be signed elsewhere (or by a signer)
+    if (isWatchOnlyAccount(payment)) {
+      return Promise.reject({ error: 'WATCH_ONLY_ACCOUNT' });
+    }
+    if (payment.multisig) return cosign(password, payment);
 
-    payment.transaction.addPrivateKeys(getPrivateKeys(password, payment));
-    payment.transaction.sortBIP69();
-    payment.transaction = payment.transaction.sign();
-    return Promise.resolve(payment);
+    return signWithKeys(walletKeyOf(password, payment), payment).then(function (signed) {
+      if (isSweep(payment)) sweptWIFsOf(payment).forEach(importWIF);
+      return signed;
+    });
   };
 };
 
 Payment.publish = function () {
   return function (payment) {
-    var success = function () {
-      payment.txid = payment.transaction.getId();
+    var success = function (result) {
+      payment.txid = result.txid;
+      payment.broadcast = { accepted: result.accepted, rejected: result.rejected };
+      // a change address is only used once the transaction is out
+      if (payment.multisig && payment.changeAmount > 0) {
+        payment.multisig.incrementChangeIndex();
+      }
+      var changeAccount = changeAccountOf(payment);
+      if (changeAccount && payment.changeAmount > 0) changeAccount.incrementChangeIndex();
+      recordNotes(payment);
       return payment;
     };
 
@@ -459,10 +1212,31 @@ Payment.publish = function () {
       throw e.message || e.responseText || e;
     };
 
-    payment.transaction = payment.transaction.build();
+    // a loaded partially signed spend may already have all the signatures
+    if (payment.transaction instanceof Transaction) {
+      payment.transaction = payment.transaction.transaction;
+    }
+    // transactions finalized from a PSBT are already built
+    var isBuilt = payment.transaction instanceof Bitcoin.Transaction;
+    if (payment.multisig && payment.missingSignatures > 0) {
+      return Promise.reject({ error: 'MISSING_SIGNATURES', missing: payment.missingSignatures });
+    }
+    // nodes don't relay transactions before their lock time
+    var block = MyWallet.wallet.latestBlock;
+    if (payment.locktime > 0 && block && !isLocktimeReached(payment.locktime, block)) {
+      return Promise.reject({ error: 'LOCKTIME_NOT_REACHED', locktime: payment.locktime });
+    }
+    if (!isBuilt) payment.transaction = payment.transaction.build();
+    var requestError = payment.paymentRequest && PaymentRequest.errorOf(payment.paymentRequest, payment.transaction);
+    if (requestError) return Promise.reject(requestError);
+    var acknowledged = payment.paymentRequest && payment.paymentRequest.details.paymentUrl
+      ? acknowledge(payment)
+      : Promise.resolve(payment);
 
-    return API.pushTx(payment.transaction.toHex())
-      .then(success).catch(handleError);
+    return acknowledged.then(function () {
+      return Broadcaster.publish(payment.transaction.toHex())
+        .then(success).catch(handleError);
+    });
   };
 };
 
@@ -470,6 +1244,164 @@ module.exports = Payment;
 
 // Helper functions
 
+// signs the built transaction with an external signer, the signed transaction
+// replaces the transaction builder (like importPSBT)
+// signWith :: signer -> payment -> Promise payment
+function signWith (signer, payment) {
+  if (!(payment.transaction instanceof Transaction)) return Promise.reject({ error: 'TX_NOT_BUILT' });
+  if (payment.multisig) return Promise.reject({ error: 'MULTISIG_EXTERNAL_SIGNER' });
+  var transaction = payment.transaction;
+  transaction.sortBIP69();
+  var request = Signer.requestOf(transaction.transaction.tx, payment.selectedCoins);
+  return Promise.resolve(signer.sign(request)).then(function (signatures) {
+    var result = Signer.finalize(request, signatures);
+    if (result.error) return Promise.reject(result);
+    payment.transaction = result.transaction;
+    return payment;
+  });
+}
+
+// the default signer: the transaction builder signs with the keys of the
+// wallet (and of swept private keys), emitting the signing progress events.
+// keyOf gets the inputs of a signing request, like Signer.fromKeys. Inputs
+// without a key are rejected with MISSING_KEY before anything is signed.
+// signWithKeys :: (input -> ECPair || null) -> payment -> Promise payment
+function signWithKeys (keyOf, payment) {
+  if (!(payment.transaction instanceof Transaction)) return Promise.reject({ error: 'TX_NOT_BUILT' });
+  var transaction = payment.transaction;
+  transaction.sortBIP69();
+  var request = Signer.requestOf(transaction.transaction.tx, payment.selectedCoins);
+  var keys = request.inputs.map(keyOf);
+  var missing = keys.indexOf(null);
+  if (missing > -1) return Promise.reject({ error: 'MISSING_KEY', address: request.inputs[missing].address });
+  transaction.addPrivateKeys(keys);
+  payment.transaction = transaction.sign();
+  return Promise.resolve(payment);
+}
+
+// the key of an input of a signing request: HD inputs are derived from the
+// xpriv of their account, legacy ones are swept keys or wallet addresses
+// walletKeyOf :: password -> payment -> input -> ECPair || null
+function walletKeyOf (password, payment) {
+  var xprivs = {};
+  var xprivOf = function (xpub) {
+    var index = accountIndexOf(payment, xpub);
+    if (index < 0) return null;
+    if (!xprivs.hasOwnProperty(xpub)) xprivs[xpub] = getXPRIV(password, index);
+    return xprivs[xpub];
+  };
+  return function (input) {
+    if (input.xpub) {
+      var xpriv = xprivOf(input.xpub);
+      return xpriv ? getKeyForPath(xpriv, input.path) : null;
+    }
+    if (payment.fromWatchOnly) return getKey(payment.wifKeys[0], input.address);
+    return payment.wifKeys.length > 0
+      ? getKeyFromWIFs(payment.wifKeys, input.address)
+      : getKeyForAddress(password, input.address);
+  };
+}
+
+// the index of the HD account of a coin (by its extended public key), -1 when
+// the wallet has no such account
+// accountIndexOf :: payment -> xpub -> Integer
+function accountIndexOf (payment, xpub) {
+  var index = MyWallet.wallet.hdwallet.accounts.map(function (a) { return a.extendedPublicKey; }).indexOf(xpub);
+  return index < 0 && Helpers.isPositiveInteger(payment.fromAccountIdx) ? payment.fromAccountIdx : index;
+}
+
+// adds the signatures of our cosigner key to a multisig transaction, the other
+// cosigners sign the partial transaction (payment.partial)
+// cosign :: password -> payment -> Promise payment
+function cosign (password, payment) {
+  var transaction = payment.transaction;
+  var cosignerXpriv = getMultisigXPRIV(password, payment.multisig);
+  transaction.addPrivateKeys(transaction.pathsOfNeededPrivateKeys.map(getKeyForPath.bind(this, cosignerXpriv)));
+  transaction.sortBIP69();
+  payment.transaction = transaction.sign();
+  payment.partial = transaction.toPartial();
+  payment.missingSignatures = transaction.missingSignatures();
+  return Promise.resolve(payment);
+}
+
+// records the note and the recipient labels of a published payment. The
+// transaction is out already, a failure to record them is only reported.
+function recordNotes (payment) {
+  try {
+    var note = noteOf(payment);
+    if (note) MyWallet.wallet.setNote(payment.txid, note);
+    (payment.recipients || []).forEach(function (r) {
+      if (r.label) MyWallet.wallet.addAddressBookEntry(r.address, r.label);
+    });
+  } catch (e) {
+    console.log('Could not record the notes of ' + payment.txid, e);
+  }
+}
+
+// the note of the transaction followed by the note of every recipient
+// noteOf :: payment -> String || null
+function noteOf (payment) {
+  var notes = (payment.recipients || [])
+    .filter(function (r) { return r.note; })
+    .map(function (r) { return r.note + ' (' + r.address + ')'; });
+  return (payment.note ? [payment.note] : []).concat(notes).join(', ') || null;
+}
+
+// restore :: json -> emitter -> payment -> Promise payment
+function restore (json, emitter) {
+  return function (payment) {
+    if (!json || json.version !== JSON_VERSION) return Promise.reject({ error: 'INVALID_PAYMENT_JSON' });
+    var multisig = null;
+    if (json.multisig != null) {
+      multisig = MyWallet.wallet.hdwallet.multisigAccounts.filter(function (a) { return a.index === json.multisig; })[0];
+      if (!multisig) return Promise.reject({ error: 'UNKNOWN_MULTISIG_ACCOUNT', index: json.multisig });
+    }
+    JSON_FIELDS.forEach(function (k) { if (json[k] !== undefined) payment[k] = json[k]; });
+    setFeePerByte(payment, payment.feePerByte);
+    // requests are parsed again, they have to be verified again to name the merchant
+    if (json.paymentRequest) {
+      payment.paymentRequest = PaymentRequest.parse(new Buffer(json.paymentRequest, 'base64'));
+      if (payment.paymentRequest.error) return Promise.reject({ error: 'INVALID_PAYMENT_JSON', message: payment.paymentRequest.message });
+    }
+    payment.multisig = multisig;
+    payment.wifKeys = [];
+    try {
+      payment.transaction = json.transaction ? Transaction.fromJSON(json.transaction, multisig, emitter) : undefined;
+    } catch (e) {
+      return Promise.reject({ error: 'INVALID_PAYMENT_JSON', message: e.message });
+    }
+    return Promise.resolve(payment);
+  };
+}
+
+// sends the transaction to the merchant of the payment request before it is
+// broadcast (BIP 70), a payment the merchant doesn't acknowledge isn't published
+// acknowledge :: payment -> Promise payment
+function acknowledge (payment) {
+  return PaymentRequest.send(payment.paymentRequest, payment.transaction, refundAddressOf(payment)).then(
+    function (ack) {
+      payment.paymentAck = ack;
+      return payment;
+    },
+    function (error) {
+      return Promise.reject({ error: 'PAYMENT_NOT_ACKNOWLEDGED', reason: error.error || error.message || error });
+    }
+  );
+}
+
+// merchants refund to a receive address of the paying account (the default
+// account for legacy addresses), never to the change address of the payment
+// refundAddressOf :: payment -> address || null
+function refundAddressOf (payment) {
+  if (payment.multisig) return payment.multisig.receiveAddress;
+  if (!MyWallet.wallet.isUpgradedToHD) return null;
+  var hdwallet = MyWallet.wallet.hdwallet;
+  var account = Helpers.isPositiveInteger(payment.fromAccountIdx)
+    ? hdwallet.accounts[payment.fromAccountIdx]
+    : hdwallet.defaultAccount;
+  return account ? account.receiveAddress : null;
+}
+
 // getUnspentCoins :: [address] -> Promise [coins]
 function getUnspentCoins (addressList, notify) {
   var processCoins = function (obj) {
@@ -487,6 +1419,29 @@ function getUnspentCoins (addressList, notify) {
   return API.getUnspent(addressList, -1).then(processCoins);
 }
 
+// outpointOf :: coin -> txHash:index
+function outpointOf (coin) {
+  return coin.hash + ':' + coin.index;
+}
+
+function addressOfScript (script) {
+  try {
+    return Bitcoin.address.fromOutputScript(new Buffer(script, 'hex'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// spendableCoins :: payment -> [coins] without frozen coins (only pinned ones if any)
+function spendableCoins (payment) {
+  var pinned = payment.pinnedOutpoints || [];
+  return (payment.coins || []).filter(function (coin) {
+    var outpoint = outpointOf(coin);
+    return !MyWallet.wallet.isFrozenOutpoint(outpoint) &&
+      (pinned.length === 0 || pinned.indexOf(outpoint) > -1);
+  });
+}
+
 function getKey (priv, addr) {
   var format = Helpers.detectPrivateKeyFormat(priv);
   var key = Helpers.privateKeyStringToKey(priv, format);
@@ -500,10 +1455,63 @@ function getKey (priv, addr) {
   return key;
 }
 
+// the key among the given WIFs that controls the address
+// getKeyFromWIFs :: [WIF] -> address -> ECPair || null
+function getKeyFromWIFs (wifs, addr) {
+  var keys = wifs.map(function (wif) { return getKey(wif, addr); });
+  return keys.filter(function (key) { return key.getAddress() === addr; })[0] || null;
+}
+
+// private key string or {priv, bipPass} for a BIP38 encrypted key
+function isPrivateKeyEntry (entry) {
+  var priv = entry && typeof entry === 'object' ? entry.priv : entry;
+  return typeof priv === 'string' && Helpers.detectPrivateKeyFormat(priv) !== null;
+}
+
+// keyPairsOf :: [private key string || {priv, bipPass}] -> Promise [ECPair]
+function keyPairsOf (entries) {
+  return Promise.all(entries.map(function (entry, index) {
+    var priv = typeof entry === 'object' ? entry.priv : entry;
+    var format = Helpers.detectPrivateKeyFormat(priv);
+    if (format !== 'bip38') {
+      try {
+        return Promise.resolve(Helpers.privateKeyStringToKey(priv, format));
+      } catch (e) {
+        return Promise.reject({ error: 'INVALID_PRIVATE_KEY', index: index });
+      }
+    }
+    if (typeof entry !== 'object' || !entry.bipPass) {
+      return Promise.reject({ error: 'MISSING_BIP38_PASSWORD', index: index });
+    }
+    return new Promise(function (resolve, reject) {
+      ImportExport.parseBIP38toECPair(priv, entry.bipPass, resolve,
+        function () { reject({ error: 'WRONG_BIP38_PASSWORD', index: index }); },
+        function () { reject({ error: 'INVALID_PRIVATE_KEY', index: index }); });
+    });
+  }));
+}
+
+// both addresses (compressed and uncompressed) of every key and their WIFs
+// sweepOriginOf :: [ECPair] -> {addresses: [address], wifs: [WIF]}
+function sweepOriginOf (keyPairs) {
+  var origin = { addresses: [], wifs: [] };
+  keyPairs.forEach(function (keyPair) {
+    [true, false].forEach(function (compressed) {
+      var key = new Bitcoin.ECPair(keyPair.d, null, { compressed: compressed });
+      if (origin.addresses.indexOf(key.getAddress()) > -1) return;
+      origin.addresses.push(key.getAddress());
+      origin.wifs.push(key.toWIF());
+    });
+  });
+  return origin;
+}
+
 // obtain private key for an address
 // from Address
 function getKeyForAddress (password, addr) {
-  var k = MyWallet.wallet.key(addr).priv;
+  var legacy = MyWallet.wallet.key(addr);
+  if (!legacy || legacy.priv == null) return null;
+  var k = legacy.priv;
   var privateKeyBase58 = password == null ? k
       : WalletCrypto.decryptSecretWithSecondPassword(k, password,
           MyWallet.wallet.sharedKey, MyWallet.wallet.pbkdf2_iterations);
@@ -525,24 +1533,218 @@ function getKeyForPath (extendedPrivateKey, neededPrivateKeyPath) {
   return keyring.privateKeyFromPath(neededPrivateKeyPath).keyPair;
 }
 
-// getPrivateKeys :: password -> payment -> [private key]
-function getPrivateKeys (password, payment) {
-  var transaction = payment.transaction;
-  var privateKeys = [];
-  // if from Account
-  if (Helpers.isPositiveInteger(payment.fromAccountIdx)) {
-    var xpriv = getXPRIV(password, payment.fromAccountIdx);
-    privateKeys = transaction.pathsOfNeededPrivateKeys.map(getKeyForPath.bind(this, xpriv));
+// true if the wallet has seen address receive before
+// isUsedAddress :: address -> Boolean
+function isUsedAddress (address) {
+  var wallet = MyWallet.wallet;
+  if (wallet.containsLegacyAddress(address) && wallet.key(address).totalReceived > 0) return true;
+  return wallet.txList.transactions().some(function (tx) {
+    return (tx.out || []).some(function (o) { return o.addr === address; });
+  });
+}
+
+// the hex of the data of an OP_RETURN output, null if it is not valid
+// dataHexOf :: hex || Buffer -> hex || null
+function dataHexOf (data) {
+  var hex = Buffer.isBuffer(data) ? data.toString('hex') : data;
+  var isValid = Helpers.isHex(hex) && hex.length % 2 === 0 && hex.length <= 2 * Transaction.MAX_DATA_SIZE;
+  return isValid ? hex.toLowerCase() : null;
+}
+
+// true when a transaction locked until a block height or timestamp can be
+// mined in the next block, false when there is no latest block
+// isLocktimeReached :: locktime -> Block -> Boolean
+function isLocktimeReached (locktime, block) {
+  if (!block) return false;
+  return locktime < Transaction.LOCKTIME_THRESHOLD ? locktime <= block.height : locktime <= block.time;
+}
+
+// the fee service quotes fees per kilobyte
+// feePerByteOf :: {fee} -> satoshi per virtual byte
+function feePerByteOf (estimate) {
+  return estimate.fee / 1000;
+}
+
+// the fee-per-kb of Transaction fee estimations
+// feePerKbOf :: satoshi per virtual byte -> satoshi per 1000 virtual bytes
+function feePerKbOf (feePerByte) {
+  return Math.round(feePerByte * 1000);
+}
+
+// keeps the deprecated feePerKb in step
+function setFeePerByte (payment, feePerByte) {
+  payment.feePerByte = feePerByte;
+  payment.feePerKb = feePerKbOf(feePerByte);
+}
+
+// spends from legacy addresses (or private keys) rather than an account
+function isLegacyOrigin (payment) {
+  return payment.fromAccountIdx == null && !payment.multisig &&
+    Array.isArray(payment.from) && payment.from.length > 0 && payment.from.every(Helpers.isBitcoinAddress);
+}
+
+// spends the coins of private keys (not watch-only addresses of the wallet)
+function isSweep (payment) {
+  return Array.isArray(payment.wifKeys) && payment.wifKeys.length > 0 && !payment.fromWatchOnly;
+}
+
+// the WIFs of the swept addresses that had coins
+// sweptWIFsOf :: payment -> [WIF]
+function sweptWIFsOf (payment) {
+  var spent = payment.selectedCoins.map(function (coin) { return addressOfScript(coin.script); });
+  return payment.wifKeys.filter(function (wif) {
+    return spent.indexOf(Bitcoin.ECPair.fromWIF(wif).getAddress()) > -1;
+  });
+}
+
+// legacyChangeOf :: payment -> address
+function legacyChangeOf (payment) {
+  if (Helpers.isBitcoinAddress(payment.changePolicy)) return payment.changePolicy;
+  // the change of a sweep doesn't go back to the swept keys
+  var toAccount = payment.changePolicy === 'account' || isSweep(payment);
+  if (toAccount && MyWallet.wallet.isUpgradedToHD) return MyWallet.wallet.hdwallet.defaultAccount.changeAddress;
+  return payment.from[0];
+}
+
+// the default HD account when it receives the change of a legacy spend
+function changeAccountOf (payment) {
+  if (!isLegacyOrigin(payment) || !MyWallet.wallet.isUpgradedToHD) return null;
+  var account = MyWallet.wallet.hdwallet.defaultAccount;
+  return account.changeAddress === payment.change ? account : null;
+}
+
+// index of an account of the wallet holding its private keys
+function isSpendableAccountIndex (index) {
+  if (!Helpers.isPositiveInteger(index) || !MyWallet.wallet.isUpgradedToHD) return false;
+  var accounts = MyWallet.wallet.hdwallet.accounts;
+  return index < accounts.length && !accounts[index].isWatchOnly;
+}
+
+// isWatchOnlyAccount :: payment -> Boolean
+function isWatchOnlyAccount (payment) {
+  return Helpers.isPositiveInteger(payment.fromAccountIdx) &&
+    MyWallet.wallet.hdwallet.accounts[payment.fromAccountIdx].isWatchOnly === true;
+}
+
+// unsignedOf :: Transaction -> {tx, inputs: [{path, address, value}]}
+// in the final (BIP 69) order, paths are relative to the account extended public key
+function unsignedOf (transaction) {
+  transaction.sortBIP69();
+  return {
+    tx: transaction.transaction.tx.toHex(),
+    inputs: transaction.addressesOfInputs.map(function (address, i) {
+      return {
+        path: transaction.pathsOfNeededPrivateKeys[i],
+        address: address,
+        value: transaction.valuesOfInputs[i]
+      };
+    })
+  };
+}
+
+// PSBT helpers
+
+// accountOriginOf :: password -> account -> {fingerprint, path}
+// accounts of the wallet seed start at its master key, accounts of imported
+// keys at their extended public key
+function accountOriginOf (password) {
+  var cipher = MyWallet.wallet.isDoubleEncrypted
+    ? WalletCrypto.cipherFunction.bind(undefined, password, MyWallet.wallet.sharedKey, MyWallet.wallet.pbkdf2_iterations)
+    : undefined;
+  var origins = {};
+  return function (account) {
+    var xpub = AddressTypes.toStandardExtendedKey(account.extendedPublicKey);
+    if (!origins.hasOwnProperty(xpub)) {
+      origins[xpub] = MyWallet.wallet.hdwallet.keyOriginOf(account, cipher) ||
+        { fingerprint: Bitcoin.HDNode.fromBase58(xpub).getFingerprint(), path: [] };
+    }
+    return origins[xpub];
+  };
+}
+
+// the HD accounts a payment spends from, one or several (Payment.from)
+// accountsOf :: payment -> [account]
+function accountsOf (payment) {
+  var indexes = payment.fromAccounts ||
+    (Helpers.isPositiveInteger(payment.fromAccountIdx) ? [payment.fromAccountIdx] : []);
+  return indexes.map(function (i) { return MyWallet.wallet.hdwallet.accounts[i]; });
+}
+
+// accountXpubsOf :: payment -> originOf -> [{xpub, fingerprint, path}]
+function accountXpubsOf (payment, originOf) {
+  if (payment.multisig) return payment.multisig.keyOrigins;
+  return accountsOf(payment).map(function (account) {
+    var origin = originOf(account);
+    return { xpub: AddressTypes.toStandardExtendedKey(account.extendedPublicKey), fingerprint: origin.fingerprint, path: origin.path };
+  });
+}
+
+// the keys spending input vin: the cosigners of a multisig account or the HD
+// account of the spent coin, legacy addresses have no derivation
+// inputKeyInfoOf :: payment -> Bitcoin.Transaction -> vin -> originOf -> keyInfo
+function inputKeyInfoOf (payment, tx, vin, originOf) {
+  if (payment.multisig) {
+    var paths = payment.transaction.pathsOfNeededPrivateKeys;
+    return paths.length === tx.ins.length ? keyInfoAtPath(payment, null, paths[vin], originOf) : {};
   }
-  // if from Addresses or redeem code (private key)
-  if (payment.from && payment.from.every(Helpers.isBitcoinAddress) && !payment.fromWatchOnly) {
-    privateKeys = payment.wifKeys.length
-      ? transaction.addressesOfNeededPrivateKeys.map(function (a, i) { return getKey(payment.wifKeys[i], a); })
-      : transaction.addressesOfNeededPrivateKeys.map(getKeyForAddress.bind(this, password));
+  var hash = [].reverse.call(new Buffer(tx.ins[vin].hash)).toString('hex');
+  var coin = payment.selectedCoins.filter(function (c) { return c.hash === hash && c.index === tx.ins[vin].index; })[0];
+  var index = coin && coin.xpub ? accountIndexOf(payment, coin.xpub.m) : -1;
+  return index < 0 ? {} : keyInfoAtPath(payment, MyWallet.wallet.hdwallet.accounts[index], coin.xpub.path, originOf);
+}
+
+// keyInfoAtPath :: payment -> account -> path -> originOf -> {bip32Derivation, redeemScript, witnessScript}
+function keyInfoAtPath (payment, account, path, originOf) {
+  if (payment.multisig) {
+    var scripts = payment.multisig.signScriptsAtPath(path);
+    return {
+      bip32Derivation: payment.multisig.derivationsAtPath(path),
+      redeemScript: scripts.redeemScript,
+      witnessScript: scripts.witnessScript
+    };
   }
-  // if from Watch Only
-  if (payment.from && Helpers.isBitcoinAddress(payment.from[0]) && payment.fromWatchOnly) {
-    privateKeys = transaction.addressesOfNeededPrivateKeys.map(getKey.bind(null, payment.wifKeys[0]));
+  var components = path.split('/');
+  var change = parseInt(components[1], 10);
+  var index = parseInt(components[2], 10);
+  var chain = change === 0 ? account.keyRing.receive : account.keyRing.change;
+  var pubkey = chain.getPublicKey(index);
+  var addressType = AddressTypes.get(account.type);
+  var origin = originOf(account);
+  return {
+    bip32Derivation: [{
+      pubkey: pubkey,
+      fingerprint: origin.fingerprint,
+      path: origin.path.concat([change, index])
+    }],
+    redeemScript: addressType.redeemScript
+      ? addressType.redeemScript(Bitcoin.ECPair.fromPublicKeyBuffer(pubkey)) : undefined
+  };
+}
+
+// the keys of the change output, null for the other outputs
+// changeKeyInfoOf :: payment -> output script -> originOf -> keyInfo || null
+function changeKeyInfoOf (payment, script, originOf) {
+  var address = addressOfScript(script.toString('hex'));
+  if (address === null || address !== payment.change) return null;
+  if (payment.multisig) {
+    var path = payment.multisig.pathOfAddress(address);
+    return path === null ? null : keyInfoAtPath(payment, null, path, originOf);
   }
-  return privateKeys;
+  var account = accountsOf(payment).filter(function (a) { return a.changeAddress === address; })[0];
+  return account ? keyInfoAtPath(payment, account, 'M/1/' + account.changeIndex, originOf) : null;
 }
+
+// witness inputs sign the value they spend, there's no need for the previous transaction
+function isWitnessScript (script, redeemScript) {
+  var type = Bitcoin.script.classifyOutput(redeemScript || script);
+  return type === 'witnesspubkeyhash' || type === 'witnessscripthash';
+}
+
+// getMultisigXPRIV :: password -> multisig account -> xpriv
+function getMultisigXPRIV (password, multisig) {
+  return password == null
+    ? multisig.extendedPrivateKey
+    : WalletCrypto.decryptSecretWithSecondPassword(multisig.extendedPrivateKey, password,
+      MyWallet.wallet.sharedKey, MyWallet.wallet.pbkdf2_iterations);
+}
+
@@ -0,0 +1,381 @@
+'use strict';
+
+module.exports = Psbt;
+
+var Bitcoin = require('bitcoinjs-lib');
+var Bs58check = require('bs58check');
+var assert = require('assert');
+var Buffer = require('buffer').Buffer;
+
+// Partially Signed Bitcoin Transactions (BIP 174)
+// Only the fields needed to sign and finalize our inputs are interpreted,
+// any other key-value pair is kept as it is so that it survives a round trip.
+
+var MAGIC = new Buffer('70736274ff', 'hex');
+var EMPTY = new Buffer(0);
+
+var GLOBAL_TYPES = { UNSIGNED_TX: 0x00, XPUB: 0x01 };
+var INPUT_TYPES = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06,
+  FINAL_SCRIPTSIG: 0x07,
+  FINAL_SCRIPTWITNESS: 0x08
+};
+var OUTPUT_TYPES = { REDEEM_SCRIPT: 0x00, WITNESS_SCRIPT: 0x01, BIP32_DERIVATION: 0x02 };
+
+// tx :: unsigned Bitcoin.Transaction
+function Psbt (tx) {
+  assert(tx.ins.every(function (i) { return i.script.length === 0 && (!i.witness || i.witness.length === 0); }),
+    'The transaction of a PSBT must be unsigned');
+  this.tx = tx;
+  // [{xpub, fingerprint, path}] extended public keys used by the derivations
+  this.xpubs = [];
+  this.unknown = [];
+  // input fields: nonWitnessUtxo (Buffer), witnessUtxo ({script, value}),
+  // partialSigs ([{pubkey, signature}]), sighashType, redeemScript,
+  // witnessScript, bip32Derivation ([{pubkey, fingerprint, path}]),
+  // finalScriptSig and finalScriptWitness ([Buffer])
+  this.inputs = tx.ins.map(function () { return { partialSigs: [], bip32Derivation: [], unknown: [] }; });
+  // output fields: redeemScript, witnessScript and bip32Derivation
+  this.outputs = tx.outs.map(function () { return { bip32Derivation: [], unknown: [] }; });
+}
+
+// SERIALIZATION
+
+Psbt.fromBuffer = function (buffer) {
+  var reader = new Reader(buffer);
+  assert(reader.read(MAGIC.length).equals(MAGIC), 'Not a PSBT');
+
+  var tx = null;
+  var xpubs = [];
+  var unknown = [];
+  reader.readMap(function (type, keyData, value, key) {
+    if (type === GLOBAL_TYPES.UNSIGNED_TX) {
+      tx = Bitcoin.Transaction.fromBuffer(value);
+    } else if (type === GLOBAL_TYPES.XPUB) {
+      xpubs.push(decodeDerivation(Bs58check.encode(keyData), value, 'xpub'));
+    } else {
+      unknown.push({ key: key, value: value });
+    }
+  });
+  assert(tx, 'PSBT without unsigned transaction');
+
+  var psbt = new Psbt(tx);
+  psbt.xpubs = xpubs;
+  psbt.unknown = unknown;
+  psbt.inputs.forEach(function (input) {
+    reader.readMap(function (type, keyData, value, key) {
+      switch (type) {
+        case INPUT_TYPES.NON_WITNESS_UTXO: input.nonWitnessUtxo = value; break;
+        case INPUT_TYPES.WITNESS_UTXO: input.witnessUtxo = decodeOutput(value); break;
+        case INPUT_TYPES.PARTIAL_SIG: input.partialSigs.push({ pubkey: keyData, signature: value }); break;
+        case INPUT_TYPES.SIGHASH_TYPE: input.sighashType = value.readUInt32LE(0); break;
+        case INPUT_TYPES.REDEEM_SCRIPT: input.redeemScript = value; break;
+        case INPUT_TYPES.WITNESS_SCRIPT: input.witnessScript = value; break;
+        case INPUT_TYPES.BIP32_DERIVATION: input.bip32Derivation.push(decodeDerivation(keyData, value)); break;
+        case INPUT_TYPES.FINAL_SCRIPTSIG: input.finalScriptSig = value; break;
+        case INPUT_TYPES.FINAL_SCRIPTWITNESS: input.finalScriptWitness = decodeWitness(value); break;
+        default: input.unknown.push({ key: key, value: value });
+      }
+    });
+  });
+  psbt.outputs.forEach(function (output) {
+    reader.readMap(function (type, keyData, value, key) {
+      switch (type) {
+        case OUTPUT_TYPES.REDEEM_SCRIPT: output.redeemScript = value; break;
+        case OUTPUT_TYPES.WITNESS_SCRIPT: output.witnessScript = value; break;
+        case OUTPUT_TYPES.BIP32_DERIVATION: output.bip32Derivation.push(decodeDerivation(keyData, value)); break;
+        default: output.unknown.push({ key: key, value: value });
+      }
+    });
+  });
+  return psbt;
+};
+
+Psbt.fromBase64 = function (str) {
+  return Psbt.fromBuffer(new Buffer(str, 'base64'));
+};
+
+Psbt.prototype.toBuffer = function () {
+  var writer = new Writer();
+  writer.write(MAGIC);
+
+  writer.writePair(GLOBAL_TYPES.UNSIGNED_TX, EMPTY, this.tx.toBuffer());
+  this.xpubs.forEach(function (x) {
+    writer.writePair(GLOBAL_TYPES.XPUB, Bs58check.decode(x.xpub), encodeDerivation(x));
+  });
+  writer.writeUnknown(this.unknown);
+
+  this.inputs.forEach(function (input) {
+    if (input.nonWitnessUtxo) writer.writePair(INPUT_TYPES.NON_WITNESS_UTXO, EMPTY, input.nonWitnessUtxo);
+    if (input.witnessUtxo) writer.writePair(INPUT_TYPES.WITNESS_UTXO, EMPTY, encodeOutput(input.witnessUtxo));
+    input.partialSigs.forEach(function (p) {
+      writer.writePair(INPUT_TYPES.PARTIAL_SIG, p.pubkey, p.signature);
+    });
+    if (input.sighashType !== undefined) {
+      var sighashType = new Buffer(4);
+      sighashType.writeUInt32LE(input.sighashType, 0);
+      writer.writePair(INPUT_TYPES.SIGHASH_TYPE, EMPTY, sighashType);
+    }
+    if (input.redeemScript) writer.writePair(INPUT_TYPES.REDEEM_SCRIPT, EMPTY, input.redeemScript);
+    if (input.witnessScript) writer.writePair(INPUT_TYPES.WITNESS_SCRIPT, EMPTY, input.witnessScript);
+    input.bip32Derivation.forEach(function (d) {
+      writer.writePair(INPUT_TYPES.BIP32_DERIVATION, d.pubkey, encodeDerivation(d));
+    });
+    if (input.finalScriptSig) writer.writePair(INPUT_TYPES.FINAL_SCRIPTSIG, EMPTY, input.finalScriptSig);
+    if (input.finalScriptWitness) writer.writePair(INPUT_TYPES.FINAL_SCRIPTWITNESS, EMPTY, encodeWitness(input.finalScriptWitness));
+    writer.writeUnknown(input.unknown);
+  });
+
+  this.outputs.forEach(function (output) {
+    if (output.redeemScript) writer.writePair(OUTPUT_TYPES.REDEEM_SCRIPT, EMPTY, output.redeemScript);
+    if (output.witnessScript) writer.writePair(OUTPUT_TYPES.WITNESS_SCRIPT, EMPTY, output.witnessScript);
+    output.bip32Derivation.forEach(function (d) {
+      writer.writePair(OUTPUT_TYPES.BIP32_DERIVATION, d.pubkey, encodeDerivation(d));
+    });
+    writer.writeUnknown(output.unknown);
+  });
+
+  return writer.toBuffer();
+};
+
+Psbt.prototype.toBase64 = function () {
+  return this.toBuffer().toString('base64');
+};
+
+// FINALIZER
+
+// finalize :: () -> {transaction} || {error, input}
+// Builds the input scripts out of the partial signatures (or takes the final
+// scripts set by the signer) after checking every signature.
+Psbt.prototype.finalize = function () {
+  var tx = this.tx.clone();
+  for (var i = 0; i < this.inputs.length; i++) {
+    var input = this.inputs[i];
+    var result = input.finalScriptSig || input.finalScriptWitness
+      ? { scriptSig: input.finalScriptSig || EMPTY, witness: input.finalScriptWitness || [] }
+      : finalizeInput(this, i);
+    if (result.error) return { error: result.error, input: i };
+    tx.setInputScript(i, result.scriptSig);
+    tx.setWitness(i, result.witness);
+  }
+  return { transaction: tx };
+};
+
+// the output spent by an input: {script, value}
+function spentOutput (psbt, vin) {
+  var input = psbt.inputs[vin];
+  if (input.witnessUtxo) return input.witnessUtxo;
+  if (!input.nonWitnessUtxo) return null;
+  var prevTx = Bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo);
+  var txIn = psbt.tx.ins[vin];
+  if (!prevTx.getHash().equals(txIn.hash)) return null;
+  return prevTx.outs[txIn.index] || null;
+}
+
+function finalizeInput (psbt, vin) {
+  var input = psbt.inputs[vin];
+  var prevout = spentOutput(psbt, vin);
+  if (!prevout) return { error: 'PSBT_MISSING_UTXO' };
+
+  var script = prevout.script;
+  var p2sh = Bitcoin.script.scriptHash.output.check(script);
+  if (p2sh) {
+    if (!input.redeemScript || !Bitcoin.crypto.hash160(input.redeemScript).equals(Bitcoin.script.scriptHash.output.decode(script))) {
+      return { error: 'PSBT_BAD_REDEEM_SCRIPT' };
+    }
+    script = input.redeemScript;
+  }
+  var p2wsh = Bitcoin.script.witnessScriptHash.output.check(script);
+  if (p2wsh) {
+    if (!input.witnessScript || !Bitcoin.crypto.sha256(input.witnessScript).equals(Bitcoin.script.witnessScriptHash.output.decode(script))) {
+      return { error: 'PSBT_BAD_WITNESS_SCRIPT' };
+    }
+    script = input.witnessScript;
+  }
+  var p2wpkh = Bitcoin.script.witnessPubKeyHash.output.check(script);
+  var segwit = p2wsh || p2wpkh;
+  // the script signatures commit to
+  var scriptCode = p2wpkh
+    ? Bitcoin.script.pubKeyHash.output.encode(Bitcoin.script.witnessPubKeyHash.output.decode(script))
+    : script;
+
+  var signatureOf = function (pubkey) {
+    var p = input.partialSigs.filter(function (s) { return s.pubkey.equals(pubkey); })[0];
+    if (!p) return null;
+    var parsed = Bitcoin.ECSignature.parseScriptSignature(p.signature);
+    // like the signer interface, only signatures of the whole transaction
+    if (parsed.hashType !== Bitcoin.Transaction.SIGHASH_ALL) return false;
+    var hash = segwit
+      ? psbt.tx.hashForWitnessV0(vin, scriptCode, prevout.value, parsed.hashType)
+      : psbt.tx.hashForSignature(vin, scriptCode, parsed.hashType);
+    return Bitcoin.ECPair.fromPublicKeyBuffer(pubkey).verify(hash, parsed.signature) ? p.signature : false;
+  };
+
+  var stack;
+  switch (Bitcoin.script.classifyOutput(scriptCode)) {
+    case 'pubkeyhash':
+      var keyHash = Bitcoin.script.pubKeyHash.output.decode(scriptCode);
+      var signer = input.partialSigs.filter(function (s) { return Bitcoin.crypto.hash160(s.pubkey).equals(keyHash); })[0];
+      var signature = signer ? signatureOf(signer.pubkey) : null;
+      if (signature === null) return { error: 'PSBT_MISSING_SIGNATURES' };
+      if (signature === false) return { error: 'PSBT_BAD_SIGNATURE' };
+      stack = [signature, signer.pubkey];
+      break;
+    case 'multisig':
+      var multisig = Bitcoin.script.multisig.output.decode(scriptCode);
+      var signatures = multisig.pubKeys.map(signatureOf).filter(function (s) { return s !== null; });
+      if (signatures.indexOf(false) > -1) return { error: 'PSBT_BAD_SIGNATURE' };
+      if (signatures.length < multisig.m) return { error: 'PSBT_MISSING_SIGNATURES' };
+      stack = [EMPTY].concat(signatures.slice(0, multisig.m));
+      break;
+    default:
+      return { error: 'PSBT_UNSUPPORTED_INPUT' };
+  }
+
+  if (p2wsh) stack.push(input.witnessScript);
+  if (segwit) {
+    return { scriptSig: p2sh ? Bitcoin.script.compile([input.redeemScript]) : EMPTY, witness: stack };
+  }
+  if (p2sh) stack.push(input.redeemScript);
+  return { scriptSig: Bitcoin.script.compile(stack), witness: [] };
+}
+
+// ENCODING HELPERS
+
+// derivation value: master key fingerprint followed by the uint32 path indexes
+function decodeDerivation (keyData, value, keyName) {
+  var path = [];
+  for (var i = 4; i + 4 <= value.length; i += 4) path.push(value.readUInt32LE(i));
+  var d = { fingerprint: value.slice(0, 4), path: path };
+  d[keyName || 'pubkey'] = keyData;
+  return d;
+}
+
+function encodeDerivation (d) {
+  var value = new Buffer(4 + 4 * d.path.length);
+  d.fingerprint.copy(value, 0);
+  d.path.forEach(function (index, i) { value.writeUInt32LE(index, 4 + 4 * i); });
+  return value;
+}
+
+function decodeOutput (value) {
+  var reader = new Reader(value);
+  var amount = reader.readUInt64();
+  return { value: amount, script: reader.read(reader.readVarInt()) };
+}
+
+function encodeOutput (output) {
+  var writer = new Writer();
+  writer.writeUInt64(output.value);
+  writer.writeVarSlice(output.script);
+  return writer.toBuffer();
+}
+
+function decodeWitness (value) {
+  var reader = new Reader(value);
+  var stack = [];
+  for (var n = reader.readVarInt(); n > 0; n--) stack.push(reader.read(reader.readVarInt()));
+  return stack;
+}
+
+function encodeWitness (stack) {
+  var writer = new Writer();
+  writer.writeVarInt(stack.length);
+  stack.forEach(function (item) { writer.writeVarSlice(item); });
+  return writer.toBuffer();
+}
+
+function Reader (buffer) {
+  this.buffer = buffer;
+  this.offset = 0;
+}
+
+Reader.prototype.read = function (n) {
+  assert(this.offset + n <= this.buffer.length, 'Unexpected end of PSBT');
+  var slice = this.buffer.slice(this.offset, this.offset + n);
+  this.offset += n;
+  return slice;
+};
+
+Reader.prototype.readVarInt = function () {
+  var first = this.read(1)[0];
+  if (first < 0xfd) return first;
+  if (first === 0xfd) return this.read(2).readUInt16LE(0);
+  if (first === 0xfe) return this.read(4).readUInt32LE(0);
+  return this.readUInt64();
+};
+
+Reader.prototype.readUInt64 = function () {
+  var b = this.read(8);
+  return b.readUInt32LE(0) + b.readUInt32LE(4) * 0x100000000;
+};
+
+// reads key-value pairs up to the 0x00 separator
+// onPair :: type -> keyData -> value -> key -> ()
+Reader.prototype.readMap = function (onPair) {
+  for (var keyLength = this.readVarInt(); keyLength > 0; keyLength = this.readVarInt()) {
+    var key = this.read(keyLength);
+    var value = this.read(this.readVarInt());
+    onPair(key[0], key.slice(1), value, key);
+  }
+};
+
+function Writer () {
+  this.buffers = [];
+}
+
+Writer.prototype.write = function (buffer) {
+  this.buffers.push(buffer);
+};
+
+Writer.prototype.writeVarInt = function (n) {
+  var b;
+  if (n < 0xfd) {
+    b = new Buffer([n]);
+  } else if (n <= 0xffff) {
+    b = new Buffer(3);
+    b[0] = 0xfd;
+    b.writeUInt16LE(n, 1);
+  } else {
+    b = new Buffer(5);
+    b[0] = 0xfe;
+    b.writeUInt32LE(n, 1);
+  }
+  this.write(b);
+};
+
+Writer.prototype.writeUInt64 = function (n) {
+  var b = new Buffer(8);
+  b.writeUInt32LE(n % 0x100000000, 0);
+  b.writeUInt32LE(Math.floor(n / 0x100000000), 4);
+  this.write(b);
+};
+
+Writer.prototype.writeVarSlice = function (buffer) {
+  this.writeVarInt(buffer.length);
+  this.write(buffer);
+};
+
+Writer.prototype.writePair = function (type, keyData, value) {
+  this.writeVarSlice(Buffer.concat([new Buffer([type]), keyData]));
+  this.writeVarSlice(value);
+};
+
+// unknown pairs are written back with their original key, maps end with 0x00
+Writer.prototype.writeUnknown = function (pairs) {
+  pairs.forEach(function (p) {
+    this.writeVarSlice(p.key);
+    this.writeVarSlice(p.value);
+  }, this);
+  this.write(new Buffer([0x00]));
+};
+
+Writer.prototype.toBuffer = function () {
+  return Buffer.concat(this.buffers);
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var Bitcoin = require('bitcoinjs-lib');
+var Buffer = require('buffer').Buffer;
+var AddressTypes = require('./address-types');
+var Psbt = require('./psbt');
+
+// Signers sign built transactions with keys that don't need to be in the
+// wallet (hardware wallets, HSMs, another process). A signer is
+//   {sign :: request -> Promise [{pubkey, signature}]}
+// where the request only holds JSON values:
+//   {tx: hex of the unsigned transaction, inputs: [{address, script, value, xpub, path}]}
+// script and value are those of the spent output, xpub and path the account
+// key of HD inputs (null for legacy addresses). The answer has, for every
+// input, the public key (hex) of its address and its signature (hex, DER
+// followed by the SIGHASH_ALL byte). Without a signer, payments are signed
+// with the wallet keys by the transaction builder (Transaction.prototype.sign).
+
+var SIGHASH_ALL = Bitcoin.Transaction.SIGHASH_ALL;
+
+// requestOf :: unsigned Bitcoin.Transaction -> [coins] -> request
+function requestOf (tx, coins) {
+  return {
+    tx: tx.toHex(),
+    inputs: tx.ins.map(function (input) {
+      var hash = [].reverse.call(new Buffer(input.hash)).toString('hex');
+      var coin = coins.filter(function (c) { return c.hash === hash && c.index === input.index; })[0];
+      assert(coin, 'Missing the spent coin of ' + hash + ':' + input.index);
+      return {
+        address: Bitcoin.address.fromOutputScript(new Buffer(coin.script, 'hex')),
+        script: coin.script,
+        value: coin.value,
+        xpub: coin.xpub ? coin.xpub.m : null,
+        path: coin.xpub ? coin.xpub.path : null
+      };
+    })
+  };
+}
+
+// address type spending the input, null for scripts we can't sign
+function typeOf (input) {
+  return AddressTypes.fromOutputScript(new Buffer(input.script, 'hex'));
+}
+
+// hashOf :: request -> index -> ECPair -> Buffer
+// the hash signed by the key of input vin
+function hashOf (request, vin, keyPair) {
+  var input = request.inputs[vin];
+  var type = typeOf(input);
+  assert(type !== null, 'Unsupported input script ' + input.script);
+  var tx = Bitcoin.Transaction.fromHex(request.tx);
+  if (!AddressTypes.get(type).witness) {
+    return tx.hashForSignature(vin, new Buffer(input.script, 'hex'), SIGHASH_ALL);
+  }
+  var scriptCode = Bitcoin.script.pubKeyHash.output.encode(Bitcoin.crypto.hash160(keyPair.getPublicKeyBuffer()));
+  return tx.hashForWitnessV0(vin, scriptCode, input.value, SIGHASH_ALL);
+}
+
+// signInput :: request -> index -> ECPair -> {pubkey, signature}
+function signInput (request, vin, keyPair) {
+  var signature = keyPair.sign(hashOf(request, vin, keyPair)).toScriptSignature(SIGHASH_ALL);
+  return { pubkey: keyPair.getPublicKeyBuffer().toString('hex'), signature: signature.toString('hex') };
+}
+
+// software signer of the keys returned by keyOf
+// fromKeys :: (input -> ECPair) -> signer
+function fromKeys (keyOf) {
+  return {
+    sign: function (request) {
+      try {
+        return Promise.resolve(request.inputs.map(function (input, i) {
+          return signInput(request, i, keyOf(input));
+        }));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+  };
+}
+
+// checks the signatures and puts them in the input scripts
+// finalize :: request -> [{pubkey, signature}] -> {transaction} || {error, input}
+function finalize (request, signatures) {
+  if (!Array.isArray(signatures) || signatures.length !== request.inputs.length) {
+    return { error: 'SIGNER_MISSING_SIGNATURES' };
+  }
+  var psbt = new Psbt(Bitcoin.Transaction.fromHex(request.tx));
+  for (var i = 0; i < request.inputs.length; i++) {
+    var input = request.inputs[i];
+    var signature = signatures[i] || {};
+    var pubkey, keyPair, sig;
+    try {
+      pubkey = new Buffer(signature.pubkey, 'hex');
+      keyPair = Bitcoin.ECPair.fromPublicKeyBuffer(pubkey);
+    } catch (e) {
+      return { error: 'SIGNER_BAD_PUBLIC_KEY', input: i };
+    }
+    try {
+      sig = new Buffer(signature.signature, 'hex');
+      assert(Bitcoin.ECSignature.parseScriptSignature(sig).hashType === SIGHASH_ALL);
+    } catch (e) {
+      return { error: 'SIGNER_BAD_SIGNATURE', input: i };
+    }
+    var type = typeOf(input);
+    var addressType = AddressTypes.get(type);
+    if (type === null || addressType.fromKeyPair(keyPair) !== input.address) {
+      return { error: 'SIGNER_WRONG_KEY', input: i };
+    }
+    // the finalizer only needs the spent script and value, legacy inputs included
+    psbt.inputs[i].witnessUtxo = { script: new Buffer(input.script, 'hex'), value: input.value };
+    psbt.inputs[i].redeemScript = addressType.redeemScript ? addressType.redeemScript(keyPair) : undefined;
+    psbt.inputs[i].partialSigs = [{ pubkey: pubkey, signature: sig }];
+  }
+  var result = psbt.finalize();
+  return result.error
+    ? { error: result.error === 'PSBT_BAD_SIGNATURE' ? 'SIGNER_BAD_SIGNATURE' : result.error, input: result.input }
+    : result;
+}
+
+module.exports = {
+  requestOf: requestOf,
+  hashOf: hashOf,
+  signInput: signInput,
+  fromKeys: fromKeys,
+  finalize: finalize
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+var EventEmitter = require('events');
+var util = require('util');
+var Bitcoin = require('bitcoinjs-lib');
+var Buffer = require('buffer').Buffer;
+var MyWallet = require('./wallet');
+var API = require('./api');
+var Broadcaster = require('./broadcaster');
+
+// Follows a published transaction through the websocket ('utx' and 'block'
+// messages) and the transaction list of the wallet. Events:
+//   'seen'         (txid) the transaction has been relayed
+//   'confirmed'    (n) once per new confirmation, up to options.confirmations
+//   'double-spent' (txid || null) another transaction spends one of its coins
+//   'dropped'      (txid) it was never seen, even after every rebroadcast
+//   'rebroadcast'  (attempt) the stored transaction was published again
+//   'rebroadcast-failed' (error) no backend took it, kept as rebroadcastError
+// Tracking stops after the last confirmation, a double spend or a drop.
+
+var EVENTS = ['seen', 'confirmed', 'double-spent', 'dropped', 'rebroadcast', 'rebroadcast-failed'];
+var DEFAULT_CONFIRMATIONS = 6;
+var DEFAULT_REBROADCAST_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+var DEFAULT_REBROADCASTS = 3;
+
+// transaction :: Bitcoin.Transaction
+// coins :: [{hash, index, script, value, tx_index}] spent by the transaction
+// options :: {confirmations, rebroadcastTimeout (ms), rebroadcasts}
+function TransactionTracker (transaction, coins, options) {
+  EventEmitter.call(this);
+  options = options || {};
+  this.txid = transaction.getId();
+  this.hex = transaction.toHex();
+  this.coins = coins || [];
+  this.confirmationsNeeded = options.confirmations || DEFAULT_CONFIRMATIONS;
+  this.rebroadcastTimeout = options.rebroadcastTimeout || DEFAULT_REBROADCAST_TIMEOUT;
+  this.maxRebroadcasts = options.rebroadcasts == null ? DEFAULT_REBROADCASTS : options.rebroadcasts;
+  this.seen = false;
+  this.confirmations = 0;
+  this.blockHeight = null;
+  this.tipHeight = 0;
+  this.rebroadcasts = 0;
+  this.rebroadcastError = null;
+  this.tracking = false;
+  this._unsubscribe = [];
+  this._timer = null;
+}
+util.inherits(TransactionTracker, EventEmitter);
+
+TransactionTracker.EVENTS = EVENTS;
+
+// tracker of a published payment
+// fromPayment :: payment -> options -> TransactionTracker
+TransactionTracker.fromPayment = function (payment, options) {
+  return new TransactionTracker(payment.transaction, payment.selectedCoins, options);
+};
+
+TransactionTracker.prototype.start = function () {
+  if (this.tracking) return this;
+  this.tracking = true;
+  this._unsubscribe = [
+    MyWallet.ws.subscribe(this._onMessage.bind(this)),
+    MyWallet.wallet.txList.subscribe(this._onTransactions.bind(this))
+  ];
+  this._onTransactions();
+  if (this.tracking) this._scheduleRebroadcast();
+  return this;
+};
+
+TransactionTracker.prototype.stop = function () {
+  this.tracking = false;
+  this._unsubscribe.forEach(function (unsubscribe) { if (unsubscribe) unsubscribe(); });
+  this._unsubscribe = [];
+  clearTimeout(this._timer);
+  return this;
+};
+
+TransactionTracker.prototype.toJSON = function () {
+  return {
+    txid: this.txid,
+    seen: this.seen,
+    confirmations: this.confirmations,
+    rebroadcasts: this.rebroadcasts,
+    tracking: this.tracking
+  };
+};
+
+TransactionTracker.prototype._onMessage = function (message) {
+  if (!this.tracking || !message || !message.x) return;
+  if (message.op === 'utx' && message.x.hash === this.txid) {
+    this._seen();
+  } else if (message.op === 'utx') {
+    this._checkConflict(message.x);
+  } else if (message.op === 'block') {
+    this._updateConfirmations(message.x.height);
+  }
+};
+
+TransactionTracker.prototype._onTransactions = function () {
+  var tx = this.tracking && MyWallet.wallet.txList.transaction(this.txid);
+  if (!tx) return;
+  if (tx.double_spend) return this._doubleSpent(null);
+  this._seen();
+  if (tx.block_height > 0) this.blockHeight = tx.block_height;
+  this._updateConfirmations();
+};
+
+// websocket inputs give the spent output by index, script and value and the
+// spent transaction by tx_index only. Outputs that look like one of the coins
+// are compared by outpoint, from the raw transaction when a tx_index is missing.
+// A failed fetch is left to the transaction list, which marks double spends too.
+TransactionTracker.prototype._checkConflict = function (tx) {
+  var coins = this.coins;
+  var pairs = [];
+  (tx.inputs || []).forEach(function (input) {
+    coins.forEach(function (coin) {
+      if (looksLike(input.prev_out, coin)) pairs.push({ out: input.prev_out, coin: coin });
+    });
+  });
+  if (pairs.length === 0) return;
+  var isIndexed = pairs.every(function (p) { return p.out.tx_index != null && p.coin.tx_index != null; });
+  if (isIndexed) {
+    if (pairs.some(function (p) { return p.out.tx_index === p.coin.tx_index; })) this._doubleSpent(tx.hash);
+    return;
+  }
+  API.getRawTx(tx.hash).then(function (hex) {
+    var spent = Bitcoin.Transaction.fromHex(hex).ins.map(outpointOfInput);
+    var isConflict = pairs.some(function (p) { return spent.indexOf(p.coin.hash + ':' + p.coin.index) > -1; });
+    if (this.tracking && isConflict) this._doubleSpent(tx.hash);
+  }.bind(this)).catch(function () {});
+};
+
+TransactionTracker.prototype._seen = function () {
+  if (this.seen) return;
+  this.seen = true;
+  this.emit('seen', this.txid);
+};
+
+TransactionTracker.prototype._doubleSpent = function (hash) {
+  this.stop();
+  this.emit('double-spent', hash);
+};
+
+TransactionTracker.prototype._updateConfirmations = function (height) {
+  var block = MyWallet.wallet.latestBlock;
+  this.tipHeight = Math.max(this.tipHeight, height || 0, block ? block.height : 0);
+  if (this.blockHeight === null || this.tipHeight < this.blockHeight) return;
+  var n = Math.min(this.tipHeight - this.blockHeight + 1, this.confirmationsNeeded);
+  if (n <= this.confirmations) return;
+  this._seen();
+  this.confirmations = n;
+  if (n >= this.confirmationsNeeded) this.stop();
+  this.emit('confirmed', n);
+};
+
+TransactionTracker.prototype._scheduleRebroadcast = function () {
+  this._timer = setTimeout(this._rebroadcast.bind(this), this.rebroadcastTimeout);
+};
+
+// transactions that haven't been seen are published again, and dropped eventually
+TransactionTracker.prototype._rebroadcast = function () {
+  if (!this.tracking || this.seen) return;
+  if (this.rebroadcasts >= this.maxRebroadcasts) {
+    this.stop();
+    this.emit('dropped', this.txid);
+    return;
+  }
+  this.rebroadcasts++;
+  this.emit('rebroadcast', this.rebroadcasts);
+  Broadcaster.publish(this.hex).then(
+    function () { this.rebroadcastError = null; }.bind(this),
+    function (e) {
+      this.rebroadcastError = e;
+      this.emit('rebroadcast-failed', e);
+    }.bind(this)
+  );
+  this._scheduleRebroadcast();
+};
+
+// an output of the websocket with the index, script and value of the coin
+function looksLike (out, coin) {
+  return out != null && out.n === coin.index && out.script === coin.script && out.value === coin.value;
+}
+
+// txid:index of the output spent by a Bitcoin.Transaction input
+function outpointOfInput (input) {
+  return Array.prototype.reverse.call(new Buffer(input.hash)).toString('hex') + ':' + input.index;
+}
+
+module.exports = TransactionTracker;
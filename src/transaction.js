@@ -3,6 +3,8 @@
 var assert = require('assert');
 var Bitcoin = require('bitcoinjs-lib');
 var Helpers = require('./helpers');
+var AddressTypes = require('./address-types');
+var CoinSelection = require('./coin-selection');
 var Buffer = require('buffer').Buffer;
 
 // Error messages that can be seen by the user should take the form of:
@@ -15,7 +17,8 @@ var Transaction = function (payment, emitter) {
   var amounts = payment.amounts;
   var fee = payment.finalFee;
   var changeAddress = payment.change;
-  var BITCOIN_DUST = Bitcoin.networks.bitcoin.dustThreshold;
+  var sequence = sequenceOf(payment);
+  var BITCOIN_DUST = Transaction.DUST_THRESHOLD;
 
   if (!Array.isArray(toAddresses) && toAddresses != null) { toAddresses = [toAddresses]; }
   if (!Array.isArray(amounts) && amounts != null) { amounts = [amounts]; }
@@ -26,17 +29,26 @@ var Transaction = function (payment, emitter) {
   this.emitter = emitter;
   this.amount = amounts.reduce(Helpers.add, 0);
   this.addressesOfInputs = [];
+  this.valuesOfInputs = [];
   this.privateKeys = null;
   this.addressesOfNeededPrivateKeys = [];
   this.pathsOfNeededPrivateKeys = [];
+  // multisig account spent from, signatures of the other cosigners are added later
+  this.multisig = payment.multisig || null;
 
   assert(toAddresses.length == amounts.length, 'The number of destiny addresses and destiny amounts should be the same.');
-  assert(this.amount >= BITCOIN_DUST, {error: 'BELOW_DUST_THRESHOLD', amount: this.amount, threshold: BITCOIN_DUST});
+  // a data output can be the only destination
+  var isDataOnly = payment.data != null && amounts.length === 0;
+  assert(this.amount >= BITCOIN_DUST || isDataOnly, {error: 'BELOW_DUST_THRESHOLD', amount: this.amount, threshold: BITCOIN_DUST});
   assert(unspentOutputs && unspentOutputs.length > 0, {error: 'NO_UNSPENT_OUTPUTS'});
   var transaction = new Bitcoin.TransactionBuilder();
+  if (payment.locktime > 0) transaction.setLockTime(payment.locktime);
+  // relative locks (BIP 68) need version 2 transactions
+  if (payment.relativeLocktime) transaction.setVersion(2);
   // add all outputs
   function addOutput (e, i) { transaction.addOutput(toAddresses[i], amounts[i]); }
   toAddresses.map(addOutput);
+  if (payment.data != null) transaction.addOutput(Transaction.dataScript(payment.data), 0);
 
   // add all inputs
   var total = 0;
@@ -44,7 +56,6 @@ var Transaction = function (payment, emitter) {
     var output = unspentOutputs[i];
     total = total + output.value;
     var transactionHashBuffer = Buffer(output.hash, 'hex');
-    transaction.addInput(Array.prototype.reverse.call(transactionHashBuffer), output.index);
 
     // Generate address from output script and add to private list so we can check if the private keys match the inputs later
     var scriptBuffer = Buffer(output.script, 'hex');
@@ -52,9 +63,16 @@ var Transaction = function (payment, emitter) {
     var address = Bitcoin.address.fromOutputScript(scriptBuffer).toString();
     assert(address, {error: 'CANNOT_DECODE_OUTPUT_ADDRESS', tx_hash: output.tx_hash});
     this.addressesOfInputs.push(address);
+    // segwit inputs commit to the value they spend
+    this.valuesOfInputs.push(output.value);
+    transaction.addInput(Array.prototype.reverse.call(transactionHashBuffer), output.index, sequence, scriptBuffer);
 
     // Add to list of needed private keys
-    if (output.xpub) {
+    if (this.multisig) {
+      var path = this.multisig.pathOfAddress(address);
+      assert(path, {error: 'UNKNOWN_MULTISIG_ADDRESS', address: address});
+      this.pathsOfNeededPrivateKeys.push(path);
+    } else if (output.xpub) {
       this.pathsOfNeededPrivateKeys.push(output.xpub.path);
     } else {
       this.addressesOfNeededPrivateKeys.push(address);
@@ -74,7 +92,12 @@ Transaction.prototype.addPrivateKeys = function (privateKeys) {
   assert.equal(privateKeys.length, this.addressesOfInputs.length, 'Number of private keys needs to match inputs');
 
   for (var i = 0; i < privateKeys.length; i++) {
-    assert.equal(this.addressesOfInputs[i], privateKeys[i].getAddress(), 'Private key does not match bitcoin address ' + this.addressesOfInputs[i] + '!=' + privateKeys[i].getAddress() + ' while adding private key for input ' + i);
+    if (this.multisig) {
+      assert(isCosignerKey(privateKeys[i], this.multisig, this.addressesOfInputs[i]), 'Private key is not a cosigner of ' + this.addressesOfInputs[i] + ' while adding private key for input ' + i);
+      continue;
+    }
+    var keyAddress = addressOfKey(privateKeys[i], this.addressesOfInputs[i]);
+    assert.equal(this.addressesOfInputs[i], keyAddress, 'Private key does not match bitcoin address ' + this.addressesOfInputs[i] + '!=' + keyAddress + ' while adding private key for input ' + i);
   }
 
   this.privateKeys = privateKeys;
@@ -96,11 +119,23 @@ Transaction.prototype.sortBIP69 = function () {
   var compareOutputs = function (a, b) {
     return (a.value - b.value) || (a.script).compare(b.script);
   };
-  var mix = Helpers.zip3(this.transaction.tx.ins, this.privateKeys, this.addressesOfInputs);
+  var ins = this.transaction.tx.ins;
+  // the private keys are not known when exporting unsigned transactions (PSBT)
+  var privateKeys = this.privateKeys || ins.map(function () { return null; });
+  var mix = Helpers.zip3(ins, privateKeys, this.addressesOfInputs);
+  // keep the per input data of the builder and the spent values in step
+  mix.forEach(function (a, i) { a.push(i); });
   mix.sort(compareInputs);
+  var order = mix.map(function (a) { return a[3]; });
+  var permute = function (xs) {
+    return xs.length === ins.length ? order.map(function (i) { return xs[i]; }) : xs;
+  };
   this.transaction.tx.ins = mix.map(function (a) { return a[0]; });
-  this.privateKeys = mix.map(function (a) { return a[1]; });
+  this.privateKeys = this.privateKeys && mix.map(function (a) { return a[1]; });
   this.addressesOfInputs = mix.map(function (a) { return a[2]; });
+  this.transaction.inputs = permute(this.transaction.inputs);
+  this.valuesOfInputs = permute(this.valuesOfInputs);
+  this.pathsOfNeededPrivateKeys = permute(this.pathsOfNeededPrivateKeys);
   this.transaction.tx.outs.sort(compareOutputs);
 };
 /**
@@ -112,8 +147,11 @@ Transaction.prototype.sign = function () {
 
   assert.equal(this.privateKeys.length, this.transaction.inputs.length, 'Number of private keys needs to match inputs');
 
+  if (this.multisig) return this.signMultisig();
+
   for (var i = 0; i < this.privateKeys.length; i++) {
-    assert.equal(this.addressesOfInputs[i], this.privateKeys[i].getAddress(), 'Private key does not match bitcoin address ' + this.addressesOfInputs[i] + '!=' + this.privateKeys[i].getAddress() + ' while signing input ' + i);
+    var keyAddress = addressOfKey(this.privateKeys[i], this.addressesOfInputs[i]);
+    assert.equal(this.addressesOfInputs[i], keyAddress, 'Private key does not match bitcoin address ' + this.addressesOfInputs[i] + '!=' + keyAddress + ' while signing input ' + i);
   }
 
   this.emitter.emit('on_begin_signing');
@@ -123,36 +161,256 @@ Transaction.prototype.sign = function () {
   for (var ii = 0; ii < transaction.inputs.length; ii++) {
     this.emitter.emit('on_sign_progress', ii + 1);
     var key = this.privateKeys[ii];
-    transaction.sign(ii, key);
-    assert(transaction.inputs[ii].scriptType === 'pubkeyhash', 'Error creating input script');
+    var addressType = AddressTypes.get(inputType(this.addressesOfInputs[ii]));
+    var redeemScript = addressType.redeemScript ? addressType.redeemScript(key) : undefined;
+    transaction.sign(ii, key, redeemScript, undefined, this.valuesOfInputs[ii]);
+    assert(transaction.inputs[ii].signType === addressType.signType, 'Error creating input script');
   }
 
   this.emitter.emit('on_finish_signing');
   return transaction;
 };
 
-Transaction.inputCost = function (feePerKb) {
-  return Math.ceil(feePerKb * 0.148);
+// adds our signature to the inputs of a multisig spend, the transaction is
+// complete once m cosigners have signed (see missingSignatures)
+Transaction.prototype.signMultisig = function () {
+  this.emitter.emit('on_begin_signing');
+
+  var transaction = this.transaction;
+  for (var ii = 0; ii < transaction.inputs.length; ii++) {
+    this.emitter.emit('on_sign_progress', ii + 1);
+    var scripts = this.multisig.signScriptsAtPath(this.multisig.pathOfAddress(this.addressesOfInputs[ii]));
+    transaction.sign(ii, this.privateKeys[ii], scripts.redeemScript, undefined, this.valuesOfInputs[ii], scripts.witnessScript);
+    assert(transaction.inputs[ii].signType === 'multisig', 'Error creating input script');
+  }
+
+  this.emitter.emit('on_finish_signing');
+  return transaction;
 };
-Transaction.guessSize = function (nInputs, nOutputs) {
-  if (nInputs < 1 || nOutputs < 1) { return 0; }
-  return (nInputs * 148 + nOutputs * 34 + 10);
+
+// number of signatures still needed to complete a multisig spend
+Transaction.prototype.missingSignatures = function () {
+  var m = this.multisig ? this.multisig.m : 1;
+  return this.transaction.inputs.reduce(function (acc, input) {
+    var signed = (input.signatures || []).filter(function (s) { return !!s; }).length;
+    return acc + Math.max(0, m - signed);
+  }, 0);
 };
 
-Transaction.guessFee = function (nInputs, nOutputs, feePerKb) {
-  var sizeBytes = Transaction.guessSize(nInputs, nOutputs);
-  return Math.ceil(feePerKb * (sizeBytes / 1000));
+// partially signed spend passed between the cosigners of a multisig account
+// toPartial :: () -> {tx, inputs: [{path, value}]}
+Transaction.prototype.toPartial = function () {
+  var multisig = this.multisig;
+  assert(multisig, 'Only multisig spends can be partially signed');
+  return {
+    tx: this.transaction.buildIncomplete().toHex(),
+    inputs: this.addressesOfInputs.map(function (address, i) {
+      return { path: multisig.pathOfAddress(address), value: this.valuesOfInputs[i] };
+    }, this)
+  };
 };
 
-Transaction.filterUsableCoins = function (coins, feePerKb) {
+// fromPartial :: {tx, inputs: [{path, value}]} -> MultisigAccount -> emitter -> Transaction
+Transaction.fromPartial = function (partial, multisig, emitter) {
+  assert(multisig, 'A multisig account is needed to load a partially signed spend');
+  assert(partial && Helpers.isHex(partial.tx) && Array.isArray(partial.inputs), {error: 'INVALID_PARTIAL_SPEND'});
+  var tx = Bitcoin.Transaction.fromHex(partial.tx);
+  assert.equal(tx.ins.length, partial.inputs.length, 'Number of inputs of the partially signed spend does not match');
+  var transaction = Object.create(Transaction.prototype);
+  transaction.emitter = emitter;
+  transaction.multisig = multisig;
+  transaction.transaction = Bitcoin.TransactionBuilder.fromTransaction(tx);
+  transaction.pathsOfNeededPrivateKeys = partial.inputs.map(function (input) { return input.path; });
+  transaction.addressesOfInputs = transaction.pathsOfNeededPrivateKeys.map(multisig.addressAtPath, multisig);
+  transaction.valuesOfInputs = partial.inputs.map(function (input) { return input.value; });
+  transaction.addressesOfNeededPrivateKeys = [];
+  transaction.privateKeys = null;
+  transaction.amount = tx.outs.reduce(function (acc, out) { return acc + out.value; }, 0);
+  return transaction;
+};
+
+// built but unsigned transaction, to resume a payment before signing
+// toJSON :: () -> {tx, amount, inputs: [{address, path, value}]}
+Transaction.prototype.toJSON = function () {
+  var isUnsigned = this.transaction.inputs.every(function (input) {
+    return !(input.signatures || []).some(function (s) { return !!s; });
+  });
+  assert(isUnsigned, 'Only unsigned transactions can be serialized');
+  var paths = this.pathsOfNeededPrivateKeys;
+  var hasPaths = paths.length === this.addressesOfInputs.length;
+  return {
+    tx: this.transaction.buildIncomplete().toHex(),
+    amount: this.amount,
+    inputs: this.addressesOfInputs.map(function (address, i) {
+      return { address: address, path: hasPaths ? paths[i] : null, value: this.valuesOfInputs[i] };
+    }, this)
+  };
+};
+
+// fromJSON :: {tx, amount, inputs: [{address, path, value}]} -> MultisigAccount || null -> emitter -> Transaction
+Transaction.fromJSON = function (json, multisig, emitter) {
+  assert(json && Helpers.isHex(json.tx) && Array.isArray(json.inputs), 'Invalid transaction');
+  var tx = Bitcoin.Transaction.fromHex(json.tx);
+  assert.equal(tx.ins.length, json.inputs.length, 'Number of inputs of the transaction does not match');
+  // a new builder knows the spent scripts, which signing segwit inputs needs
+  var builder = new Bitcoin.TransactionBuilder();
+  builder.setVersion(tx.version);
+  builder.setLockTime(tx.locktime);
+  tx.ins.forEach(function (input, i) {
+    assert(input.script.length === 0 && input.witness.length === 0, 'Only unsigned transactions can be resumed');
+    builder.addInput(input.hash, input.index, input.sequence, Bitcoin.address.toOutputScript(json.inputs[i].address));
+  });
+  tx.outs.forEach(function (out) { builder.addOutput(out.script, out.value); });
+
+  var hasPath = function (input) { return input.path != null; };
+  var transaction = Object.create(Transaction.prototype);
+  transaction.emitter = emitter;
+  transaction.multisig = multisig || null;
+  transaction.transaction = builder;
+  transaction.addressesOfInputs = json.inputs.map(function (input) { return input.address; });
+  transaction.valuesOfInputs = json.inputs.map(function (input) { return input.value; });
+  transaction.pathsOfNeededPrivateKeys = json.inputs.filter(hasPath).map(function (input) { return input.path; });
+  transaction.addressesOfNeededPrivateKeys = json.inputs
+    .filter(function (input) { return !hasPath(input); })
+    .map(function (input) { return input.address; });
+  transaction.privateKeys = null;
+  transaction.amount = json.amount;
+  return transaction;
+};
+
+// true if keyPair is one of the cosigner keys of the multisig address
+function isCosignerKey (keyPair, multisig, address) {
+  var pubKeys = Bitcoin.script.multisig.output.decode(multisig.scriptAtPath(multisig.pathOfAddress(address))).pubKeys;
+  return pubKeys.some(function (p) { return p.equals(keyPair.getPublicKeyBuffer()); });
+}
+
+// the sequence of every input: a relative lock (BIP 68), the opt-in
+// replace-by-fee signal (BIP 125) or a final sequence that still enforces
+// the lock time. Relative locks signal replace-by-fee as well.
+function sequenceOf (payment) {
+  if (payment.relativeLocktime) return Transaction.relativeLockSequence(payment.relativeLocktime);
+  if (payment.rbf) return Transaction.RBF_SEQUENCE;
+  if (payment.locktime > 0) return Transaction.LOCKTIME_SEQUENCE;
+  return undefined;
+}
+
+// the virtual size of a signed input: address types are looked up,
+// multisig accounts describe their own inputs ({inputSize, witness})
+function inputSizeOf (inputType) {
+  return inputType instanceof Object ? inputType.inputSize : AddressTypes.get(inputType).inputSize;
+}
+
+// the input type of a coin, from its output script when the coin knows it.
+// Multisig scripts can't be told apart from their script, the given type is used.
+function inputTypeOfCoin (coin, inputType) {
+  if (inputType instanceof Object || !coin || !coin.script) return inputType;
+  var type = AddressTypes.fromOutputScript(new Buffer(coin.script, 'hex'));
+  return type === null ? inputType : type;
+}
+
+function times (n, x) {
+  var xs = [];
+  for (var i = 0; i < n; i++) { xs.push(x); }
+  return xs;
+}
+
+// the address type that spends the outputs paying to address
+function inputType (address) {
+  return AddressTypes.fromOutputScript(Bitcoin.address.toOutputScript(address));
+}
+
+// the address of keyPair in the format of the input it has to sign
+function addressOfKey (keyPair, address) {
+  return AddressTypes.get(inputType(address)).fromKeyPair(keyPair);
+}
+
+Transaction.DUST_THRESHOLD = 546;
+Transaction.RBF_SEQUENCE = 0xfffffffd;
+Transaction.LOCKTIME_SEQUENCE = 0xfffffffe;
+// lock times below are block heights, above unix timestamps
+Transaction.LOCKTIME_THRESHOLD = 500000000;
+// BIP 68 relative locks: 16 bits of blocks or of 512 seconds units
+Transaction.SEQUENCE_LOCKTIME_TYPE_FLAG = 1 << 22;
+Transaction.SEQUENCE_LOCKTIME_GRANULARITY = 512;
+Transaction.SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+// minimum fee increment of a replacement (BIP 125 rule 4)
+Transaction.INCREMENTAL_FEE_PER_KB = 1000;
+
+// virtual sizes (BIP 141): version, locktime and the input and output counts
+// and a P2PKH output. Witness input sizes are rounded up, which covers the
+// segwit marker and flag
+Transaction.OVERHEAD_SIZE = 10;
+Transaction.DEFAULT_OUTPUT_SIZE = 34;
+// standard size of the data of an OP_RETURN output
+Transaction.MAX_DATA_SIZE = 80;
+
+// the OP_RETURN script of a data output
+// dataScript :: hex -> Buffer
+Transaction.dataScript = function (data) {
+  return Bitcoin.script.nullData.output.encode(new Buffer(data, 'hex'));
+};
+
+// relativeLockSequence :: {blocks} || {seconds} -> sequence (BIP 68)
+// seconds are rounded up to the 512 seconds granularity
+Transaction.relativeLockSequence = function (lock) {
+  if (lock.blocks != null) return lock.blocks;
+  var units = Math.ceil(lock.seconds / Transaction.SEQUENCE_LOCKTIME_GRANULARITY);
+  return (Transaction.SEQUENCE_LOCKTIME_TYPE_FLAG | units) >>> 0;
+};
+
+// BIP 125: a transaction is replaceable if any of its inputs opts in
+Transaction.signalsRBF = function (sequences) {
+  return sequences.some(function (s) { return s < 0xfffffffe; });
+};
+
+// Fee rates (feePerKb) are in satoshi per 1000 virtual bytes.
+// inputType is the address type of the spent coins (legacy when omitted)
+Transaction.inputCost = function (feePerKb, inputType) {
+  return Math.ceil(feePerKb * inputSizeOf(inputType) / 1000);
+};
+
+// the virtual size of an output paying to address or of a data output
+// ({data: hex}), P2PKH when unknown
+Transaction.outputSize = function (output) {
+  // value, script length and script
+  if (output instanceof Object && output.data != null) return 8 + 1 + Transaction.dataScript(output.data).length;
+  if (!Helpers.isBitcoinAddress(output)) return Transaction.DEFAULT_OUTPUT_SIZE;
+  return 8 + 1 + Bitcoin.address.toOutputScript(output).length;
+};
+
+// guessSize :: (Integer || [inputType]) -> (Integer || [address || {data}]) -> inputType -> vbytes
+// inputs given as a count are of inputType, outputs given as a count are P2PKH
+Transaction.guessSize = function (inputs, outputs, inputType) {
+  var ins = Array.isArray(inputs) ? inputs : times(inputs, inputType);
+  var outs = Array.isArray(outputs) ? outputs : times(outputs, null);
+  if (ins.length < 1 || outs.length < 1) { return 0; }
+  var size = Transaction.OVERHEAD_SIZE +
+    ins.map(inputSizeOf).reduce(Helpers.add, 0) +
+    outs.map(Transaction.outputSize).reduce(Helpers.add, 0);
+  return Math.ceil(size);
+};
+
+Transaction.guessFee = function (inputs, outputs, feePerKb, inputType) {
+  var vsize = Transaction.guessSize(inputs, outputs, inputType);
+  return Math.ceil(feePerKb * (vsize / 1000));
+};
+
+// the input types of coins, which may mix script types
+Transaction.inputTypesOf = function (coins, inputType) {
+  return coins.map(function (c) { return inputTypeOfCoin(c, inputType); });
+};
+
+Transaction.filterUsableCoins = function (coins, feePerKb, inputType) {
   if (!Array.isArray(coins)) return [];
-  var icost = Transaction.inputCost(feePerKb);
-  return coins.filter(function (c) { return c.value >= icost; });
+  return coins.filter(function (c) {
+    return c.value >= Transaction.inputCost(feePerKb, inputTypeOfCoin(c, inputType));
+  });
 };
 
-Transaction.maxAvailableAmount = function (usableCoins, feePerKb) {
-  var len = usableCoins.length;
-  var fee = Transaction.guessFee(len, 2, feePerKb);
+// outputs :: [address] of the sweep, two P2PKH outputs when omitted
+Transaction.maxAvailableAmount = function (usableCoins, feePerKb, inputType, outputs) {
+  var ins = Transaction.inputTypesOf(usableCoins, inputType);
+  var fee = Transaction.guessFee(ins, outputs || 2, feePerKb, inputType);
   return {'amount': usableCoins.reduce(function (a, e) { a = a + e.value; return a; }, 0) - fee, 'fee': fee};
 };
 
@@ -160,32 +418,28 @@ Transaction.sumOfCoins = function (coins) {
   return coins.reduce(function (a, e) { a = a + e.value; return a; }, 0);
 };
 
-Transaction.selectCoins = function (usableCoins, amounts, fee, isAbsoluteFee) {
+// fee is absolute or a fee-per-kb (isAbsoluteFee false).
+// strategy is one of CoinSelection.strategies (largest-first by default).
+// Falls back to largest-first when the strategy can't fund the amounts and
+// reports the strategy that produced the selection.
+// outputs :: [address || {data}] are all the outputs with the change last,
+// one P2PKH output per amount and the change when omitted.
+Transaction.selectCoins = function (usableCoins, amounts, fee, isAbsoluteFee, inputType, strategy, outputs) {
   var amount = amounts.reduce(Helpers.add, 0);
   var nouts = amounts.length;
-  var sorted = usableCoins.sort(function (a, b) { return b.value - a.value; });
-  var len = sorted.length;
-  var sel = [];
-  var accAm = 0;
-  var accFee = 0;
-
-  if (isAbsoluteFee) {
-    for (var i = 0; i < len; i++) {
-      var coin = sorted[i];
-      accAm = accAm + coin.value;
-      sel.push(coin);
-      if (accAm >= fee + amount) { return {'coins': sel, 'fee': fee}; }
-    }
-  } else {
-    for (var ii = 0; ii < len; ii++) {
-      var coin2 = sorted[ii];
-      accAm = accAm + coin2.value;
-      accFee = Transaction.guessFee(ii + 1, nouts + 1, fee);
-      sel.push(coin2);
-      if (accAm >= accFee + amount) { return {'coins': sel, 'fee': accFee}; }
-    }
+  var outputsOf = function (withChange) {
+    if (!Array.isArray(outputs)) return nouts + (withChange ? 1 : 0);
+    return withChange ? outputs : outputs.slice(0, -1);
+  };
+  var feeOf = function (coins, withChange) {
+    return isAbsoluteFee ? fee : Transaction.guessFee(Transaction.inputTypesOf(coins, inputType), outputsOf(withChange), fee, inputType);
+  };
+  var names = [CoinSelection.isValid(strategy) ? strategy : CoinSelection.DEFAULT, CoinSelection.DEFAULT];
+  for (var i = 0; i < names.length; i++) {
+    var s = CoinSelection.strategies[names[i]](usableCoins, amount, feeOf);
+    if (s) { return {'coins': s.coins, 'fee': s.fee, 'strategy': names[i]}; }
   }
-  return {'coins': [], 'fee': 0};
+  return {'coins': [], 'fee': 0, 'strategy': null};
 };
 
 Transaction.confirmationEstimation = function (absoluteFees, fee) {
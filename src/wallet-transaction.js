@@ -25,6 +25,7 @@ function Tx (object) {
   this.relayed_by = obj.relayed_by;
   this._result = obj.result;
   this.size = obj.size;
+  this.weight = obj.weight;
   this.time = obj.time;
   this.tx_index = obj.tx_index;
   this.ver = obj.ver;
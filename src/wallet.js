@@ -60,6 +60,7 @@ function socketConnect () {
     } else if (obj.op == 'pong') {
       clearTimeout(MyWallet.ws.pingTimeoutPID);
     }
+    MyWallet.ws.notify(obj);
   }
 
   function onOpen () {
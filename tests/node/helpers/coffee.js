@@ -0,0 +1,4 @@
+'use strict';
+
+// the node specs are written in CoffeeScript, like the karma ones
+require('coffee-script/register');
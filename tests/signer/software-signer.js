@@ -0,0 +1,46 @@
+'use strict';
+
+// Software signer running in its own process, to test the signer interface
+// (src/signer.js) across a process boundary:
+//   node tests/signer/software-signer.js <xprv || WIF>...
+// Reads one JSON request per line on stdin and answers one JSON line on
+// stdout, either the signatures or {error}. The keys never leave the process.
+
+var readline = require('readline');
+var Bitcoin = require('bitcoinjs-lib');
+var Signer = require('../../src/signer');
+
+var keys = process.argv.slice(2);
+
+var xprivs = keys.filter(function (k) { return k.slice(1, 4) === 'prv'; });
+var wifs = keys.filter(function (k) { return xprivs.indexOf(k) < 0; }).map(function (k) {
+  return Bitcoin.ECPair.fromWIF(k);
+});
+
+function keyOf (input) {
+  if (input.xpub) {
+    var xpriv = xprivs.filter(function (k) {
+      return Bitcoin.HDNode.fromBase58(k).neutered().toBase58() === input.xpub;
+    })[0];
+    if (!xpriv) throw new Error('Unknown account ' + input.xpub);
+    // paths are relative to the account: M/<change>/<index>
+    var indexes = input.path.split('/').slice(1).map(Number);
+    return indexes.reduce(function (node, i) { return node.derive(i); }, Bitcoin.HDNode.fromBase58(xpriv)).keyPair;
+  }
+  var key = wifs.filter(function (k) { return k.getAddress() === input.address; })[0];
+  if (!key) throw new Error('Unknown address ' + input.address);
+  return key;
+}
+
+var signer = Signer.fromKeys(keyOf);
+
+readline.createInterface({ input: process.stdin }).on('line', function (line) {
+  var reply = function (answer) { process.stdout.write(JSON.stringify(answer) + '\n'); };
+  var request;
+  try {
+    request = JSON.parse(line);
+  } catch (e) {
+    return reply({ error: 'INVALID_REQUEST' });
+  }
+  signer.sign(request).then(reply, function (e) { reply({ error: e.message }); });
+});